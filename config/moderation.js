@@ -0,0 +1,30 @@
+const path = require('path');
+
+// Rules that flag reviews for moderation when they are submitted or edited.
+//
+// `bannedWords` are matched as whole words, case-insensitively. `flagLinks`
+// flags reviews containing URLs or bare domain names. Flagged reviews wait in
+// the moderation queue, unpublished, when `holdFlagged` is set; otherwise
+// they are published and only listed in the queue.
+//
+// Reviews with `reportsToUnpublish` open reports from readers are taken down
+// until a moderator looks at them.
+//
+// Set MODERATION_CONFIG_PATH to a JSON file with the same shape to replace
+// these defaults without a code change.
+
+const defaults = {
+  bannedWords: ['viagra', 'casino', 'escort'],
+  flagLinks: true,
+  holdFlagged: true,
+  reportsToUnpublish: 3,
+};
+
+const loadConfig = () => {
+  if (!process.env.MODERATION_CONFIG_PATH) {
+    return defaults;
+  }
+  return require(path.resolve(process.env.MODERATION_CONFIG_PATH));
+};
+
+module.exports = loadConfig();
@@ -0,0 +1,69 @@
+const path = require('path');
+
+// Shipping and tax rules used at checkout and for cart quotes.
+//
+// Rules match on the shipping address. `countries` and `states` are compared
+// case-insensitively; '*' in countries matches any country and a rule
+// without `states` matches every state. When several rules match, one naming
+// the state wins over one naming only the country, which wins over '*'.
+//
+// Set PRICING_CONFIG_PATH to a JSON file with the same shape to replace
+// these defaults without a code change.
+
+const US = ['USA', 'US', 'UNITED STATES', 'UNITED STATES OF AMERICA'];
+
+const defaults = {
+  shipping: {
+    // Cost is baseRate + perItemRate for every item after the first;
+    // freeOver waives shipping when the discounted subtotal reaches it
+    zones: [
+      {
+        name: 'Domestic',
+        countries: US,
+        baseRate: 4.99,
+        perItemRate: 1,
+        freeOver: 50,
+      },
+      {
+        name: 'Alaska and Hawaii',
+        countries: US,
+        states: ['AK', 'ALASKA', 'HI', 'HAWAII'],
+        baseRate: 9.99,
+        perItemRate: 2,
+        freeOver: null,
+      },
+      {
+        name: 'Canada and Mexico',
+        countries: ['CANADA', 'CA', 'MEXICO', 'MX'],
+        baseRate: 12.99,
+        perItemRate: 2.5,
+        freeOver: null,
+      },
+      {
+        name: 'International',
+        countries: ['*'],
+        baseRate: 19.99,
+        perItemRate: 4,
+        freeOver: null,
+      },
+    ],
+  },
+  tax: {
+    rules: [
+      { name: 'California sales tax', countries: US, states: ['CA', 'CALIFORNIA'], rate: 0.0725, shippingTaxable: false },
+      { name: 'New York sales tax', countries: US, states: ['NY', 'NEW YORK'], rate: 0.04, shippingTaxable: true },
+      { name: 'Texas sales tax', countries: US, states: ['TX', 'TEXAS'], rate: 0.0625, shippingTaxable: true },
+      { name: 'Washington sales tax', countries: US, states: ['WA', 'WASHINGTON'], rate: 0.065, shippingTaxable: true },
+      { name: 'Canada GST', countries: ['CANADA', 'CA'], rate: 0.05, shippingTaxable: true },
+    ],
+  },
+};
+
+const loadConfig = () => {
+  if (!process.env.PRICING_CONFIG_PATH) {
+    return defaults;
+  }
+  return require(path.resolve(process.env.PRICING_CONFIG_PATH));
+};
+
+module.exports = loadConfig();
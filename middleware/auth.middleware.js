@@ -1,18 +1,40 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
 
-const authMiddleware = (req, res, next) => {
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Access tokens are only valid while their session is; this is what makes
+    // logout and revoking a reused refresh chain take effect immediately
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({ message: 'Session has expired or been revoked' });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
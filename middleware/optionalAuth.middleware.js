@@ -0,0 +1,14 @@
+const authMiddleware = require('./auth.middleware');
+
+// Authenticate the request when it carries a token, but let anonymous
+// requests through without req.user. For endpoints that show signed-in users
+// more, such as the book reader.
+const optionalAuthMiddleware = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+
+  return authMiddleware(req, res, next);
+};
+
+module.exports = optionalAuthMiddleware;
@@ -0,0 +1,26 @@
+const User = require('../models/user.model');
+
+// Middleware to restrict an action to users who have verified their email
+const verifiedMiddleware = async (req, res, next) => {
+  try {
+    // We assume authMiddleware has already run and populated req.user
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Accounts created before email verification existed have no value
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: 'Please verify your email address before doing this.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = verifiedMiddleware;
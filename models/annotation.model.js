@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Annotation:
+ *       type: object
+ *       required:
+ *         - book
+ *         - user
+ *         - chapter
+ *         - type
+ *         - start
+ *       properties:
+ *         book:
+ *           type: string
+ *           description: ID of the annotated book
+ *         user:
+ *           type: string
+ *           description: ID of the reader who made the annotation
+ *         chapter:
+ *           type: string
+ *           description: ID of the chapter the annotation is in
+ *         type:
+ *           type: string
+ *           enum: [highlight, bookmark]
+ *         start:
+ *           type: integer
+ *           description: Offset in the chapter content, in characters; where a highlight starts or the bookmarked position
+ *         end:
+ *           type: integer
+ *           description: Offset just after the highlighted text; highlights only
+ *         text:
+ *           type: string
+ *           description: The highlighted text, copied from the chapter when the highlight is made
+ *         color:
+ *           type: string
+ *           enum: [yellow, green, blue, pink, purple]
+ *           description: Highlights only
+ *         note:
+ *           type: string
+ *           description: The reader's note, or a bookmark's label
+ *         isPublic:
+ *           type: boolean
+ *           default: false
+ *           description: Public highlights are shown on the book's page
+ *       example:
+ *         book: 60d0fe4f5311236168a109cd
+ *         user: 60d0fe4f5311236168a109cc
+ *         chapter: 60d0fe4f5311236168a109f1
+ *         type: highlight
+ *         start: 120
+ *         end: 164
+ *         text: It was the best of times, it was the worst
+ *         color: yellow
+ *         note: Famous opening
+ *         isPublic: true
+ */
+const annotationSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    chapter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['highlight', 'bookmark'],
+      required: true,
+    },
+    start: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    end: {
+      type: Number,
+      min: 0,
+    },
+    text: {
+      type: String,
+    },
+    color: {
+      type: String,
+      enum: HIGHLIGHT_COLORS,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+annotationSchema.index({ user: 1, book: 1, chapter: 1, start: 1 });
+// Public highlights on a book's page, newest first
+annotationSchema.index(
+  { book: 1, createdAt: -1, _id: -1 },
+  { partialFilterExpression: { isPublic: true } }
+);
+
+const Annotation = mongoose.model('Annotation', annotationSchema);
+Annotation.HIGHLIGHT_COLORS = HIGHLIGHT_COLORS;
+
+module.exports = Annotation;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { searchGramsFor } = require('../utils/search');
 
 /**
  * @swagger
@@ -30,11 +31,42 @@ const mongoose = require('mongoose');
  *         price:
  *           type: number
  *           description: Book price
+ *         stock:
+ *           type: integer
+ *           description: Number of copies available to order
+ *           default: 0
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Stock level at or below which the book shows up in the low-stock report
+ *           default: 5
  *         categories:
  *           type: array
  *           items:
  *             type: string
  *           description: Array of category IDs
+ *         ratingAverage:
+ *           type: number
+ *           description: Average review rating, rounded to two decimals; 0 without reviews
+ *           readOnly: true
+ *         ratingCount:
+ *           type: integer
+ *           description: Number of reviews
+ *           readOnly: true
+ *         ratingHistogram:
+ *           type: object
+ *           description: Number of reviews per star, ratings rounded to the nearest star
+ *           readOnly: true
+ *           properties:
+ *             1:
+ *               type: integer
+ *             2:
+ *               type: integer
+ *             3:
+ *               type: integer
+ *             4:
+ *               type: integer
+ *             5:
+ *               type: integer
  *       example:
  *         title: The Great Gatsby
  *         author: F. Scott Fitzgerald
@@ -42,7 +74,12 @@ const mongoose = require('mongoose');
  *         coverImage: https://example.com/images/gatsby.jpg
  *         publishDate: 1925-04-10
  *         price: 15.99
+ *         stock: 42
+ *         lowStockThreshold: 5
  *         categories: ["60d0fe4f5311236168a109ca", "60d0fe4f5311236168a109cb"]
+ *         ratingAverage: 4.33
+ *         ratingCount: 3
+ *         ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 }
  */
 const bookSchema = new mongoose.Schema(
   {
@@ -73,25 +110,114 @@ const bookSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Books created before stock tracking get one from
+    // `npm run backfill-book-stock`
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Stock must be a whole number',
+      },
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
     categories: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category',
       },
     ],
+    // Review aggregates, kept up to date by utils/ratings as reviews change
+    ratingAverage: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
+    ratingSum: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    ratingHistogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+    // Copies sold across non-cancelled orders, kept up to date by
+    // utils/inventory as stock is reserved and released; for the popularity sort
+    unitsSold: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    // Bigrams of the title, author and description words, for the catalog
+    // search's candidate query; see utils/search
+    searchGrams: {
+      type: [String],
+      select: false,
+    },
+    // The same for the title and author alone, to rank likely matches there
+    // first among the candidates
+    searchTitleGrams: {
+      type: [String],
+      select: false,
+    },
+    searchAuthorGrams: {
+      type: [String],
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+bookSchema.index({ searchGrams: 1 });
+
+bookSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('author') || this.isModified('description')) {
+    Object.assign(this, searchGramsFor(this));
+  }
+  next();
+});
+
+// Listings sort with this collation, so "a" and "B" sort the way readers
+// expect. An index only serves a sort with the same collation.
+const LISTING_COLLATION = { locale: 'en', strength: 2 };
+
+// One index per listing sort, with _id as the tie-breaker cursors use
+['title', 'price', 'publishDate', 'ratingAverage', 'unitsSold'].forEach(field => {
+  bookSchema.index({ [field]: 1, _id: 1 }, { collation: LISTING_COLLATION, name: `listing_${field}` });
+});
+
 bookSchema.virtual('reviews', {
   ref: 'Review',
   localField: '_id',
   foreignField: 'book',
 });
 
-bookSchema.set('toJSON', { virtuals: true });
+bookSchema.set('toJSON', {
+  virtuals: true,
+  // Search bigrams are only for queries; keep them out of saved books' responses
+  transform: (doc, ret) => {
+    delete ret.searchGrams;
+    delete ret.searchTitleGrams;
+    delete ret.searchAuthorGrams;
+    return ret;
+  },
+});
 bookSchema.set('toObject', { virtuals: true });
 
 const Book = mongoose.model('Book', bookSchema);
 
+Book.LISTING_COLLATION = LISTING_COLLATION;
+
 module.exports = Book;
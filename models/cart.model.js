@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Book = require('./book.model');
+const Coupon = require('./coupon.model');
+const { evaluateCoupon } = require('../utils/coupons');
 
 /**
  * @swagger
@@ -19,6 +22,26 @@ const mongoose = require('mongoose');
  *         price:
  *           type: number
  *           description: Price of the book
+ *         title:
+ *           type: string
+ *           description: Title of the book when it was added, kept for notices if it is deleted
+ *     CartNotice:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [price_changed, removed]
+ *           description: What changed since the customer last saw the cart
+ *         book:
+ *           type: string
+ *           description: ID of the book
+ *         title:
+ *           type: string
+ *         oldPrice:
+ *           type: number
+ *         newPrice:
+ *           type: number
+ *           nullable: true
  *     Cart:
  *       type: object
  *       required:
@@ -32,9 +55,33 @@ const mongoose = require('mongoose');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/CartItem'
+ *         subtotal:
+ *           type: number
+ *           description: Sum of item prices times quantities
+ *         coupon:
+ *           type: string
+ *           description: ID of the applied coupon
+ *         couponCode:
+ *           type: string
+ *           description: Code of the applied coupon
+ *         couponError:
+ *           type: string
+ *           nullable: true
+ *           description: Why the applied coupon currently gives no discount
+ *         discount:
+ *           type: number
+ *           description: Amount taken off by the coupon
+ *         freeShipping:
+ *           type: boolean
+ *           description: Whether the coupon waives shipping
  *         totalAmount:
  *           type: number
- *           description: Total amount of the cart
+ *           description: Total amount of the cart after discount
+ *         notices:
+ *           type: array
+ *           description: Changes to acknowledge before checking out
+ *           items:
+ *             $ref: '#/components/schemas/CartNotice'
  */
 const cartItemSchema = new mongoose.Schema({
   book: {
@@ -51,9 +98,33 @@ const cartItemSchema = new mongoose.Schema({
   price: {
     type: Number,
     required: true
+  },
+  title: {
+    type: String
   }
 });
 
+const cartNoticeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['price_changed', 'removed'],
+      required: true
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    },
+    title: String,
+    oldPrice: Number,
+    newPrice: {
+      type: Number,
+      default: null
+    }
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const cartSchema = new mongoose.Schema(
   {
     user: {
@@ -63,19 +134,140 @@ const cartSchema = new mongoose.Schema(
       unique: true
     },
     items: [cartItemSchema],
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      default: null
+    },
+    couponCode: {
+      type: String,
+      default: null
+    },
+    couponError: {
+      type: String,
+      default: null
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    freeShipping: {
+      type: Boolean,
+      default: false
+    },
     totalAmount: {
       type: Number,
       default: 0
-    }
+    },
+    notices: [cartNoticeSchema]
   },
   { timestamps: true }
 );
 
-cartSchema.pre('save', function(next) {
-  this.totalAmount = this.items.reduce((total, item) => {
+const idOf = (book) => (book && book._id ? book._id : book).toString();
+
+/**
+ * Bring item prices up to date with the books and drop items whose book was
+ * deleted, recording a notice for each change. Doesn't save. Returns
+ * { updated } when the cart needs saving, and { changed } when prices or
+ * items changed in this call.
+ */
+cartSchema.methods.reconcile = async function() {
+  if (this.items.length === 0) {
+    return { updated: false, changed: false };
+  }
+  
+  const books = await Book.find({ _id: { $in: this.items.map(item => idOf(item.book)) } })
+    .select('title price')
+    .session(this.$session());
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+  
+  let updated = false;
+  let changed = false;
+  const keptItems = [];
+  
+  this.items.forEach(item => {
+    const bookId = idOf(item.book);
+    const book = booksById.get(bookId);
+    
+    if (!book) {
+      this.notices.push({
+        type: 'removed',
+        book: bookId,
+        title: item.title,
+        oldPrice: item.price
+      });
+      changed = true;
+      updated = true;
+      return;
+    }
+    
+    if (book.price !== item.price) {
+      // Keep one notice per book, from the price the customer last agreed to
+      const notice = this.notices.find(existing =>
+        existing.type === 'price_changed' && existing.book.toString() === bookId
+      );
+      if (!notice) {
+        this.notices.push({
+          type: 'price_changed',
+          book: bookId,
+          title: book.title,
+          oldPrice: item.price,
+          newPrice: book.price
+        });
+      } else if (notice.oldPrice === book.price) {
+        this.notices = this.notices.filter(existing => existing !== notice);
+      } else {
+        notice.newPrice = book.price;
+      }
+      item.price = book.price;
+      changed = true;
+      updated = true;
+    }
+    
+    if (item.title !== book.title) {
+      item.title = book.title;
+      updated = true;
+    }
+    keptItems.push(item);
+  });
+  
+  if (keptItems.length !== this.items.length) {
+    this.items = keptItems;
+  }
+  return { updated, changed };
+};
+
+// Recompute totals on every save, re-checking the coupon against the
+// current items since adding or removing books can change what it gives
+cartSchema.pre('save', async function() {
+  this.subtotal = Math.round(this.items.reduce((total, item) => {
     return total + (item.price * item.quantity);
-  }, 0);
-  next();
+  }, 0) * 100) / 100;
+  
+  this.discount = 0;
+  this.freeShipping = false;
+  this.couponError = null;
+  
+  if (this.coupon) {
+    const coupon = await Coupon.findById(this.coupon).session(this.$session());
+    const result = this.items.length > 0
+      ? await evaluateCoupon(coupon, this.items, this.user)
+      : { error: 'Cart is empty' };
+    
+    if (result.error) {
+      this.couponError = result.error;
+    } else {
+      this.discount = result.discount;
+      this.freeShipping = result.freeShipping;
+    }
+  }
+  
+  this.totalAmount = Math.round((this.subtotal - this.discount) * 100) / 100;
 });
 
 const Cart = mongoose.model('Cart', cartSchema);
@@ -15,6 +15,10 @@ const mongoose = require('mongoose');
  *         description:
  *           type: string
  *           description: Category description
+ *         requirePurchaseToReview:
+ *           type: boolean
+ *           default: false
+ *           description: Only readers with a delivered order for a book in this category can review it
  *       example:
  *         name: Fiction
  *         description: Fictional literature and novels
@@ -31,6 +35,10 @@ const categorySchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    requirePurchaseToReview: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
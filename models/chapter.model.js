@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Chapter:
+ *       type: object
+ *       required:
+ *         - book
+ *         - title
+ *         - content
+ *       properties:
+ *         book:
+ *           type: string
+ *           description: ID of the book the chapter belongs to
+ *         title:
+ *           type: string
+ *           description: Chapter title
+ *         position:
+ *           type: integer
+ *           description: Place of the chapter in the book, starting at 1
+ *         content:
+ *           type: string
+ *           description: Chapter text (Markdown)
+ *         isPreview:
+ *           type: boolean
+ *           description: Whether anyone can read the chapter without owning the book
+ *           default: false
+ *         wordCount:
+ *           type: integer
+ *           description: Number of words in the content
+ *       example:
+ *         book: 60d0fe4f5311236168a109ca
+ *         title: "Chapter 1: Loomings"
+ *         position: 1
+ *         content: Call me Ishmael. Some years ago...
+ *         isPreview: true
+ *         wordCount: 2214
+ *     ChapterSummary:
+ *       type: object
+ *       description: Table of contents entry, without the content
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         position:
+ *           type: integer
+ *         isPreview:
+ *           type: boolean
+ *         wordCount:
+ *           type: integer
+ *         locked:
+ *           type: boolean
+ *           description: Whether the user needs to own the book to read the chapter
+ */
+const chapterSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    position: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    isPreview: {
+      type: Boolean,
+      default: false,
+    },
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Not unique: reordering moves positions around one chapter at a time
+chapterSchema.index({ book: 1, position: 1 });
+
+chapterSchema.pre('save', function(next) {
+  if (this.isModified('content')) {
+    this.wordCount = (this.content.match(/\S+/g) || []).length;
+  }
+  next();
+});
+
+const Chapter = mongoose.model('Chapter', chapterSchema);
+
+// Longest content accepted, in characters (UTF-16 code units, as .length
+// counts them)
+Chapter.MAX_CONTENT_LENGTH = 1000000;
+
+// JSON body limit for chapter uploads, so content within MAX_CONTENT_LENGTH
+// always reaches the route's own validation instead of being cut off by the
+// body parser. A character takes at most 6 bytes in JSON (a \u escape; UTF-8
+// needs at most 3), plus room for the other fields.
+Chapter.MAX_BODY_BYTES = Chapter.MAX_CONTENT_LENGTH * 6 + 64 * 1024;
+
+module.exports = Chapter;
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Code customers enter; stored in upper case
+ *         description:
+ *           type: string
+ *           description: Shown to customers when the coupon is applied
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *           description: Kind of discount
+ *         value:
+ *           type: number
+ *           description: Percentage off (percentage) or amount off (fixed)
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap on the discount of a percentage coupon
+ *         buyQuantity:
+ *           type: integer
+ *           description: Units to buy for a buy_x_get_y coupon
+ *         getQuantity:
+ *           type: integer
+ *           description: Units given free for every buyQuantity bought
+ *         books:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Book IDs the coupon applies to (with categories; empty means all books)
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Category IDs the coupon applies to
+ *         minSubtotal:
+ *           type: number
+ *           description: Minimum cart subtotal required
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: integer
+ *           description: Total number of orders that can use the coupon
+ *         perUserLimit:
+ *           type: integer
+ *           description: Number of orders each user can use the coupon on
+ *         usedCount:
+ *           type: integer
+ *           description: Number of orders that have used the coupon
+ *         active:
+ *           type: boolean
+ *       example:
+ *         code: SUMMER20
+ *         description: 20% off all fiction
+ *         type: percentage
+ *         value: 20
+ *         categories: ["60d0fe4f5311236168a109ca"]
+ *         expiresAt: 2024-09-01T00:00:00.000Z
+ *         usageLimit: 500
+ *         perUserLimit: 1
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    },
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    buyQuantity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    books: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+      },
+    ],
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+    ],
+    minSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'Percentage coupons need a value between 0 and 100');
+  }
+  if (this.type === 'fixed' && !(this.value > 0)) {
+    this.invalidate('value', 'Fixed amount coupons need a positive value');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y coupons need buyQuantity and getQuantity');
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate('expiresAt', 'Coupon must expire after it starts');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One record per order that used a coupon, for enforcing per-user limits
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
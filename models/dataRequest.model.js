@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataRequest:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: ID of the user whose data was exported or erased
+ *         type:
+ *           type: string
+ *           enum: [export, erasure]
+ *         requestedBy:
+ *           type: string
+ *           description: ID of the user or admin who made the request
+ *         byAdmin:
+ *           type: boolean
+ *           description: Whether an admin fulfilled the request on the user's behalf
+ *         format:
+ *           type: string
+ *           enum: [json, zip]
+ *           description: Archive format of an export
+ *         details:
+ *           type: object
+ *           description: Number of records exported, deleted or anonymised per collection
+ *         fulfilledAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         user: 60d0fe4f5311236168a109ca
+ *         type: erasure
+ *         requestedBy: 60d0fe4f5311236168a109ca
+ *         byAdmin: false
+ *         details: { anonymizedOrders: 3, reviews: 2, savedBooks: 5 }
+ *         fulfilledAt: 2024-05-01T10:00:00.000Z
+ */
+// Audit trail of personal data requests. It outlives the user on purpose, to
+// show when an erasure was carried out, so it holds IDs and counts only.
+const dataRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['export', 'erasure'],
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    byAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    format: {
+      type: String,
+      enum: [null, 'json', 'zip'],
+      default: null,
+    },
+    details: {
+      type: Object,
+      default: {},
+    },
+    fulfilledAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('DataRequest', dataRequestSchema);
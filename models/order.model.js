@@ -45,6 +45,115 @@ const mongoose = require('mongoose');
  *         price:
  *           type: number
  *           description: Price of the book at time of order
+ *     OrderStatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (null when the order was created)
+ *         to:
+ *           type: string
+ *           description: New status
+ *         changedBy:
+ *           type: string
+ *           description: ID of the user who made the change
+ *         note:
+ *           type: string
+ *           description: Optional reason or comment
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: number
+ *           description: Amount refunded
+ *         reason:
+ *           type: string
+ *           description: Why the refund was issued
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, failed]
+ *           description: Refund status
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who requested the refund
+ *         providerRefundId:
+ *           type: string
+ *           description: Refund ID at the payment provider
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refund was completed or failed
+ *     OrderCoupon:
+ *       type: object
+ *       description: The coupon as it was when the order was placed
+ *       properties:
+ *         coupon:
+ *           type: string
+ *           description: ID of the coupon
+ *         code:
+ *           type: string
+ *         type:
+ *           type: string
+ *         value:
+ *           type: number
+ *         freeShipping:
+ *           type: boolean
+ *     OrderPricing:
+ *       type: object
+ *       description: Line-by-line price breakdown frozen at checkout
+ *       properties:
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               book:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitPrice:
+ *                 type: number
+ *               subtotal:
+ *                 type: number
+ *               discount:
+ *                 type: number
+ *                 description: Share of the order discount
+ *               taxableAmount:
+ *                 type: number
+ *               tax:
+ *                 type: number
+ *         shipping:
+ *           type: object
+ *           properties:
+ *             zone:
+ *               type: string
+ *             baseRate:
+ *               type: number
+ *             perItemRate:
+ *               type: number
+ *             waived:
+ *               type: boolean
+ *             amount:
+ *               type: number
+ *         tax:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             rate:
+ *               type: number
+ *             shippingTaxable:
+ *               type: boolean
+ *             shippingTax:
+ *               type: number
+ *             amount:
+ *               type: number
  *     Order:
  *       type: object
  *       required:
@@ -61,6 +170,22 @@ const mongoose = require('mongoose');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/OrderItem'
+ *         subtotal:
+ *           type: number
+ *           description: Sum of item prices times quantities
+ *         discount:
+ *           type: number
+ *           description: Amount taken off by the coupon
+ *         coupon:
+ *           $ref: '#/components/schemas/OrderCoupon'
+ *         shippingCost:
+ *           type: number
+ *           description: Shipping charged
+ *         taxAmount:
+ *           type: number
+ *           description: Tax charged on items and, where taxable, shipping
+ *         pricing:
+ *           $ref: '#/components/schemas/OrderPricing'
  *         totalAmount:
  *           type: number
  *           description: Total amount of the order
@@ -72,7 +197,12 @@ const mongoose = require('mongoose');
  *           description: Payment method
  *         paymentDetails:
  *           type: object
- *           description: Additional payment details
+ *           description: Payment provider, transaction ID and authorization/capture/void times
+ *         paymentStatus:
+ *           type: string
+ *           enum: [unpaid, authorized, paid, voided, failed, refunded, partially_refunded]
+ *           default: unpaid
+ *           description: State of the payment with the provider
  *         status:
  *           type: string
  *           enum: [pending, processing, shipped, delivered, cancelled]
@@ -82,6 +212,22 @@ const mongoose = require('mongoose');
  *           type: string
  *           description: Tracking number for the order
  *           default: ''
+ *         carrier:
+ *           type: string
+ *           description: Shipping carrier handling the tracking number
+ *           default: ''
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusChange'
+ *         refunds:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Refund'
+ *         anonymizedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the customer's address and notes were erased after a personal data request
  */
 const addressSchema = new mongoose.Schema({
   street: {
@@ -124,6 +270,128 @@ const orderItemSchema = new mongoose.Schema({
   }
 });
 
+// Allowed status changes. Delivered and cancelled orders are final.
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    providerRefundId: {
+      type: String
+    },
+    processedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Snapshot of the coupon used, so later edits to it don't change past orders
+const orderCouponSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    value: Number,
+    freeShipping: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { _id: false }
+);
+
+const pricingLineSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    },
+    title: String,
+    quantity: Number,
+    unitPrice: Number,
+    subtotal: Number,
+    discount: Number,
+    taxableAmount: Number,
+    tax: Number
+  },
+  { _id: false }
+);
+
+const pricingSchema = new mongoose.Schema(
+  {
+    lines: [pricingLineSchema],
+    shipping: {
+      zone: String,
+      baseRate: Number,
+      perItemRate: Number,
+      waived: Boolean,
+      amount: Number
+    },
+    tax: {
+      name: String,
+      rate: Number,
+      shippingTaxable: Boolean,
+      shippingTax: Number,
+      amount: Number
+    }
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     user: {
@@ -132,6 +400,29 @@ const orderSchema = new mongoose.Schema(
       required: true
     },
     items: [orderItemSchema],
+    subtotal: {
+      type: Number
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    coupon: {
+      type: orderCouponSchema,
+      default: null
+    },
+    shippingCost: {
+      type: Number,
+      default: 0
+    },
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    pricing: {
+      type: pricingSchema,
+      default: null
+    },
     totalAmount: {
       type: Number,
       required: true
@@ -145,6 +436,11 @@ const orderSchema = new mongoose.Schema(
     paymentDetails: {
       type: Object
     },
+    paymentStatus: {
+      type: String,
+      enum: ['unpaid', 'authorized', 'paid', 'voided', 'failed', 'refunded', 'partially_refunded'],
+      default: 'unpaid'
+    },
     status: {
       type: String,
       enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
@@ -153,11 +449,114 @@ const orderSchema = new mongoose.Schema(
     trackingNumber: {
       type: String,
       default: ''
+    },
+    carrier: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    statusHistory: [statusChangeSchema],
+    refunds: [refundSchema],
+    // Idempotency-Key the order was created with, so a retried checkout
+    // returns this order instead of placing another
+    idempotencyKey: {
+      type: String,
+      default: undefined
+    },
+    // Set when the customer's personal data was erased from the order
+    anonymizedAt: {
+      type: Date,
+      default: null
     }
   },
   { timestamps: true }
 );
 
+// Webhooks look orders up by the provider's transaction ID
+orderSchema.index({ 'paymentDetails.transactionId': 1 }, { sparse: true });
+
+// Keys are scoped to the user, so two users can't collide on the same key
+orderSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+
+// Saving an order another request changed since it was loaded fails with a
+// VersionError; routes answer it with a 409 and this message so the client
+// can retry
+orderSchema.statics.CONFLICT_MESSAGE = 'The order was changed by another request. Please reload it and try again.';
+
+// Check that the status history is a valid chain of transitions ending in the
+// current status. Orders created before the history existed have an empty one.
+orderSchema.pre('validate', function(next) {
+  const history = this.statusHistory;
+  if (history.length === 0) {
+    return next();
+  }
+
+  for (let i = 0; i < history.length; i++) {
+    const entry = history[i];
+    const previous = history[i - 1];
+
+    if (entry.from === null) {
+      if (i !== 0 || entry.to !== 'pending') {
+        this.invalidate('statusHistory', 'Only the first status history entry can create the order');
+        break;
+      }
+      continue;
+    }
+    if (previous && entry.from !== previous.to) {
+      this.invalidate('statusHistory', `Status history entry ${i} doesn't follow from ${previous.to}`);
+      break;
+    }
+    if (!(ORDER_TRANSITIONS[entry.from] || []).includes(entry.to)) {
+      this.invalidate('statusHistory', `Invalid status change from ${entry.from} to ${entry.to}`);
+      break;
+    }
+    if (previous && entry.changedAt < previous.changedAt) {
+      this.invalidate('statusHistory', 'Status history is not in chronological order');
+      break;
+    }
+  }
+
+  if (history[history.length - 1].to !== this.status) {
+    this.invalidate('status', 'Status does not match the last status history entry');
+  }
+
+  next();
+});
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Change the status and record who did it. Callers check canTransitionTo()
+// first so they can answer with a 400 instead of this throwing. The next save
+// is version-checked, so of two requests changing the status of the same
+// order at once, only the first to save succeeds; the other gets a
+// VersionError instead of overwriting it.
+orderSchema.methods.transitionTo = function(status, changedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${this.status} to ${status}`);
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, note });
+  this.status = status;
+  this.increment();
+};
+
+// Total of refunds that haven't failed, i.e. money already returned or on its way
+orderSchema.methods.refundedAmount = function() {
+  return this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
+// Shared with the address book on the user profile
+Order.addressSchema = addressSchema;
+
 module.exports = Order;
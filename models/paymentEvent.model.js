@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Webhook events already handled, so a provider retrying a delivery doesn't
+// apply the same event twice
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
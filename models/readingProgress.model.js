@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReadingProgress:
+ *       type: object
+ *       properties:
+ *         book:
+ *           type: string
+ *           description: ID of the book
+ *         chapter:
+ *           type: string
+ *           description: ID of the chapter the user is on
+ *         position:
+ *           type: number
+ *           description: Offset within the chapter, in characters
+ *         percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: How much of the whole book has been read
+ *         lastReadAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the reader was at this position; the latest one wins across devices
+ *         device:
+ *           type: string
+ *           description: Device that saved the position
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user reached the end of the book
+ *       example:
+ *         book: 60d0fe4f5311236168a109ca
+ *         chapter: 60d0fe4f5311236168a109f1
+ *         position: 5230
+ *         percent: 42.5
+ *         lastReadAt: 2024-05-03T21:14:00.000Z
+ *         device: Kindle app
+ *         finishedAt: null
+ */
+const readingProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    chapter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chapter',
+      default: null,
+    },
+    position: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+    device: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+readingProgressSchema.index({ user: 1, book: 1 }, { unique: true });
+// For the "continue reading" shelf
+readingProgressSchema.index({ user: 1, finishedAt: 1, lastReadAt: -1 });
+
+module.exports = mongoose.model('ReadingProgress', readingProgressSchema);
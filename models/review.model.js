@@ -25,6 +25,46 @@ const mongoose = require('mongoose');
  *         comment:
  *           type: string
  *           description: Review comments
+ *         verifiedPurchase:
+ *           type: boolean
+ *           description: Whether the reviewer had a delivered order containing the book
+ *           readOnly: true
+ *         status:
+ *           type: string
+ *           enum: [published, pending, hidden]
+ *           description: >
+ *             Only published reviews are listed and count towards the book's
+ *             rating. Pending reviews wait for a moderator; hidden ones were
+ *             taken down by one.
+ *           readOnly: true
+ *         flags:
+ *           type: array
+ *           readOnly: true
+ *           description: Moderation rules the review matched when it was submitted or last edited
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 enum: [banned_word, link]
+ *               match:
+ *                 type: string
+ *         openReportCount:
+ *           type: integer
+ *           description: Reader reports not yet handled by a moderator
+ *           readOnly: true
+ *         helpfulCount:
+ *           type: integer
+ *           description: Number of readers who found the review helpful
+ *           readOnly: true
+ *         unhelpfulCount:
+ *           type: integer
+ *           description: Number of readers who found the review unhelpful
+ *           readOnly: true
+ *         replyCount:
+ *           type: integer
+ *           description: Number of replies in the review's thread, not counting deleted ones
+ *           readOnly: true
  *       example:
  *         book: 60d0fe4f5311236168a109cd
  *         user: 60d0fe4f5311236168a109cc
@@ -53,10 +93,67 @@ const reviewSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['published', 'pending', 'hidden'],
+      default: 'published',
+    },
+    flags: [
+      {
+        _id: false,
+        rule: {
+          type: String,
+          enum: ['banned_word', 'link'],
+        },
+        match: String,
+      },
+    ],
+    openReportCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Kept in step with ReviewVote by utils/reviews
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    unhelpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
 reviewSchema.index({ book: 1, user: 1 }, { unique: true });
+reviewSchema.index({ book: 1, verifiedPurchase: 1 });
+// A book's reviews in each sort order of GET /api/reviews
+reviewSchema.index({ book: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ book: 1, helpfulCount: -1, _id: -1 });
+reviewSchema.index({ book: 1, rating: -1, _id: -1 });
+// Moderation queue, oldest first
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ openReportCount: 1, createdAt: 1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Published reviews; those written before moderation existed have no status
+Review.PUBLISHED_FILTER = { status: { $nin: ['pending', 'hidden'] } };
 
-module.exports = mongoose.model('Review', reviewSchema);
+module.exports = Review;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewReply:
+ *       type: object
+ *       required:
+ *         - review
+ *         - user
+ *         - body
+ *       properties:
+ *         review:
+ *           type: string
+ *           description: ID of the review the thread belongs to
+ *         user:
+ *           type: string
+ *           description: ID of the author; removed when the reply is deleted
+ *         parent:
+ *           type: string
+ *           description: ID of the reply this answers; null for replies to the review itself
+ *         depth:
+ *           type: integer
+ *           description: 0 for replies to the review, 1 for replies to those, and so on
+ *         body:
+ *           type: string
+ *         fromStaff:
+ *           type: boolean
+ *           description: Written by an admin, e.g. on behalf of the publisher
+ *         editHistory:
+ *           type: array
+ *           description: Earlier versions of the body, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               editedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When this version was replaced
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Deleted replies stay in the thread, without author or text, so answers to them keep their place
+ *       example:
+ *         review: 60d0fe4f5311236168a109d1
+ *         user: 60d0fe4f5311236168a109cc
+ *         parent: null
+ *         depth: 0
+ *         body: Thanks for the review! The sequel is out in May.
+ *         fromStaff: true
+ */
+const reviewReplySchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReviewReply',
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    body: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    fromStaff: {
+      type: Boolean,
+      default: false,
+    },
+    editHistory: [
+      {
+        _id: false,
+        body: String,
+        editedAt: Date,
+      },
+    ],
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// A review's thread in posting order, one level of replies at a time
+reviewReplySchema.index({ review: 1, parent: 1, createdAt: 1, _id: 1 });
+reviewReplySchema.index({ user: 1 });
+
+module.exports = mongoose.model('ReviewReply', reviewReplySchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'offensive', 'spoilers', 'off_topic', 'other'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewReport:
+ *       type: object
+ *       required:
+ *         - review
+ *         - user
+ *         - reason
+ *       properties:
+ *         review:
+ *           type: string
+ *           description: ID of the reported review
+ *         user:
+ *           type: string
+ *           description: ID of the user who reported it
+ *         reason:
+ *           type: string
+ *           enum: [spam, offensive, spoilers, off_topic, other]
+ *         details:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, resolved]
+ *         resolution:
+ *           type: string
+ *           enum: [approved, hidden, deleted]
+ *           description: What the moderator did with the review
+ *         resolvedBy:
+ *           type: string
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         review: 60d0fe4f5311236168a109d1
+ *         user: 60d0fe4f5311236168a109cc
+ *         reason: spoilers
+ *         details: Gives away the ending in the second sentence
+ *         status: open
+ */
+const reviewReportSchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+    },
+    resolution: {
+      type: String,
+      enum: ['approved', 'hidden', 'deleted'],
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// One report per user per review
+reviewReportSchema.index({ review: 1, user: 1 }, { unique: true });
+reviewReportSchema.index({ user: 1 });
+
+const ReviewReport = mongoose.model('ReviewReport', reviewReportSchema);
+ReviewReport.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = ReviewReport;
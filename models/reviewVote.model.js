@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewVote:
+ *       type: object
+ *       required:
+ *         - review
+ *         - user
+ *         - helpful
+ *       properties:
+ *         review:
+ *           type: string
+ *           description: ID of the review voted on
+ *         user:
+ *           type: string
+ *           description: ID of the user who voted
+ *         helpful:
+ *           type: boolean
+ *           description: true when the user found the review helpful, false when unhelpful
+ *       example:
+ *         review: 60d0fe4f5311236168a109d1
+ *         user: 60d0fe4f5311236168a109cc
+ *         helpful: true
+ */
+const reviewVoteSchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One vote per user per review
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+reviewVoteSchema.index({ user: 1 });
+
+module.exports = mongoose.model('ReviewVote', reviewVoteSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Saved books now live on each user's Want to read shelf (see utils/shelves).
+// This model is only kept so entries saved before shelves existed can be
+// migrated with `npm run migrate-saved-books`.
+
 /**
  * @swagger
  * components:
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Session ID
+ *         device:
+ *           type: string
+ *           description: Human-readable device description derived from the user agent
+ *         ip:
+ *           type: string
+ *           description: IP address the session was last used from
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user logged in on this device
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the session was used
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *       example:
+ *         id: 60d0fe4f5311236168a109d1
+ *         device: Chrome on Windows
+ *         ip: 203.0.113.7
+ *         createdAt: 2024-05-01T10:00:00.000Z
+ *         lastSeenAt: 2024-05-03T08:30:00.000Z
+ *         current: true
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the refresh token currently valid for this session
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of the most recent tokens rotated out; presenting one again is reuse
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the current refresh token expires; moved forward on each refresh
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Hard limit on the session's lifetime; refreshing never extends it
+    absoluteExpiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [null, 'logout', 'logout_all', 'revoked', 'token_reuse'],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const newShareToken = () => crypto.randomBytes(16).toString('base64url');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShelfEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         book:
+ *           type: string
+ *           description: ID of the book
+ *         note:
+ *           type: string
+ *           description: The user's note about the book on this shelf
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *     Shelf:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Shelf name, unique per user
+ *         description:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [want_to_read, reading, finished]
+ *           description: Set on the built-in shelves every user has; absent on shelves the user created
+ *         visibility:
+ *           type: string
+ *           enum: [private, public]
+ *           default: private
+ *           description: Public shelves can be viewed by anyone with the share link
+ *         position:
+ *           type: integer
+ *           description: Place of the shelf in the user's list of shelves
+ *         entries:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShelfEntry'
+ *           description: Books on the shelf, in the user's order
+ *       example:
+ *         name: Summer holiday
+ *         description: Light reads for the beach
+ *         visibility: public
+ *         position: 4
+ *         entries:
+ *           - book: 60d0fe4f5311236168a109cd
+ *             note: Recommended by Sam
+ *             addedAt: 2024-05-01T10:00:00.000Z
+ */
+const shelfEntrySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const shelfSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    kind: {
+      type: String,
+      enum: ['want_to_read', 'reading', 'finished'],
+    },
+    visibility: {
+      type: String,
+      enum: ['private', 'public'],
+      default: 'private',
+    },
+    // Secret part of the share link; rotating it breaks links already shared
+    shareToken: {
+      type: String,
+      default: newShareToken,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+    entries: [shelfEntrySchema],
+  },
+  { timestamps: true }
+);
+
+shelfSchema.index({ user: 1, position: 1 });
+shelfSchema.index({ shareToken: 1 }, { unique: true });
+// One of each built-in shelf per user
+shelfSchema.index(
+  { user: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { kind: { $type: 'string' } } }
+);
+// Shelves containing a book, for removing it when the book is deleted
+shelfSchema.index({ 'entries.book': 1 });
+
+shelfSchema.methods.rotateShareToken = function() {
+  this.shareToken = newShareToken();
+};
+
+module.exports = mongoose.model('Shelf', shelfSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { addressSchema } = require('./order.model');
 
 /**
  * @swagger
@@ -24,12 +25,65 @@ const mongoose = require('mongoose');
  *           type: boolean
  *           description: Whether the user is an admin
  *           default: false
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the email address was confirmed
+ *         avatarUrl:
+ *           type: string
+ *           description: URL of the user's profile picture
+ *         addresses:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *           description: Address book used at checkout
  *       example:
  *         username: johndoe
  *         email: john.doe@example.com
  *         password: hashedpassword123
  *         isAdmin: false
+ *     SavedAddress:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Address'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               description: ID to check out with as addressId
+ *             label:
+ *               type: string
+ *               description: Name for the address, e.g. Home or Work
+ *             isDefault:
+ *               type: boolean
+ *               description: Whether this is the address checkout suggests first
+ *       example:
+ *         _id: 60d0fe4f5311236168a109e1
+ *         label: Home
+ *         street: 123 Main St
+ *         city: Springfield
+ *         state: IL
+ *         zipCode: "62704"
+ *         country: USA
+ *         isDefault: true
  */
+
+// Saved addresses have the same fields as an order's shipping address
+const savedAddressSchema = addressSchema.clone();
+savedAddressSchema.add({
+  label: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -52,6 +106,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false, // Set default to false so new users are regular users
     },
+    // No default on purpose: accounts created before email verification
+    // existed have no value and are treated as verified. Registration sets
+    // it to false explicitly.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    avatarUrl: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    addresses: [savedAddressSchema],
   },
   { timestamps: true }
 );
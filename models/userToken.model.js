@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to users by email (password reset, email
+// verification). Only a SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['password_reset', 'email_verification'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+
+// Let MongoDB remove tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
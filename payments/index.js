@@ -0,0 +1,316 @@
+const path = require('path');
+const mockProvider = require('./mock.provider');
+
+// Payment providers implement:
+//
+//   authorize({ orderId, amount, currency, paymentMethod, paymentDetails })
+//     -> { status: 'authorized' | 'failed', transactionId, failureReason }
+//   capture({ transactionId, amount, currency })
+//     -> { status: 'captured' | 'failed', failureReason }
+//   voidAuthorization({ transactionId, amount, currency })
+//     -> { status: 'voided' | 'failed', failureReason }
+//   refund({ transactionId, refundId, amount, currency })
+//     -> { status: 'completed' | 'pending' | 'failed', providerRefundId, failureReason }
+//   verifyWebhook(rawBody, headers)
+//     -> { id, type, data: { transactionId, refundId, failureReason } } or null
+//   checkConfig()
+//     throws when settings the provider needs, like its webhook secret, are missing
+//
+// Providers are registered by name. Real gateways live outside this repo:
+// PAYMENT_PROVIDER_MODULES lists, comma-separated, paths to modules that
+// each export a provider with a `name`.
+//
+// PAYMENT_PROVIDER selects the provider for new orders and must be set; the
+// server refuses to start without it. Orders remember the provider they were
+// paid with, so switching providers doesn't strand them as long as the old
+// one stays registered.
+
+const PROVIDER_METHODS = ['authorize', 'capture', 'voidAuthorization', 'refund', 'verifyWebhook', 'checkConfig'];
+
+const providers = {};
+
+const registerProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${name}" is missing: ${missing.join(', ')}`);
+  }
+  providers[name] = provider;
+};
+
+// The mock gateway approves every card, so it must never take real orders
+if (process.env.NODE_ENV !== 'production') {
+  registerProvider('mock', mockProvider);
+}
+
+let providerModulesLoaded = false;
+
+const loadProviderModules = () => {
+  if (providerModulesLoaded) {
+    return;
+  }
+  providerModulesLoaded = true;
+
+  (process.env.PAYMENT_PROVIDER_MODULES || '')
+    .split(',')
+    .map(modulePath => modulePath.trim())
+    .filter(Boolean)
+    .forEach(modulePath => {
+      const provider = require(path.resolve(modulePath));
+      if (!provider || typeof provider.name !== 'string' || !provider.name) {
+        throw new Error(`Payment provider module "${modulePath}" must export a provider with a name`);
+      }
+      registerProvider(provider.name, provider);
+    });
+};
+
+const getProvider = (name) => {
+  loadProviderModules();
+  return providers[name] || null;
+};
+
+/**
+ * Check the payment settings at startup. Throws when a provider module can't
+ * be loaded, PAYMENT_PROVIDER is missing or unknown, or the provider's own
+ * settings are incomplete.
+ */
+const checkPaymentConfig = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER must be set');
+  }
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  provider.checkConfig();
+};
+
+const currency = () => process.env.PAYMENT_CURRENCY || 'USD';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Payments that can still have money returned through the provider. An
+// authorized payment hasn't taken any money yet; it is voided instead.
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Orders placed before payments were tracked have no provider. Whether they
+// were paid is unknown, so they can be refunded, by hand.
+const isUntrackedPayment = (order) => !(order.paymentDetails && order.paymentDetails.provider);
+
+/**
+ * Whether money was taken for the order that a refund could return.
+ */
+const canRefund = (order) =>
+  REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus) || isUntrackedPayment(order);
+
+/**
+ * Authorize the order total with the configured provider. Updates the order's
+ * paymentStatus and paymentDetails without saving; returns whether it worked.
+ */
+const authorizePayment = async (order, paymentDetails) => {
+  const providerName = process.env.PAYMENT_PROVIDER;
+  const provider = getProvider(providerName);
+
+  let result;
+  try {
+    if (!provider) {
+      throw new Error(`Unknown payment provider "${providerName}"`);
+    }
+    result = await provider.authorize({
+      orderId: order._id.toString(),
+      amount: order.totalAmount,
+      currency: currency(),
+      paymentMethod: order.paymentMethod,
+      paymentDetails: paymentDetails || {},
+    });
+  } catch (error) {
+    result = { status: 'failed', failureReason: error.message };
+  }
+
+  const authorized = result.status === 'authorized';
+  order.paymentStatus = authorized ? 'authorized' : 'failed';
+  order.paymentDetails = {
+    provider: providerName,
+    transactionId: result.transactionId || null,
+    authorizedAt: authorized ? new Date() : null,
+    failureReason: authorized ? null : result.failureReason || 'payment_failed',
+  };
+
+  return authorized;
+};
+
+/**
+ * Capture an authorized payment. Payments already taken succeed, as do orders
+ * created before payments were tracked, which have no provider. Anything else
+ * (unpaid, failed, voided or refunded) has no money to take and fails, so the
+ * order can't be fulfilled for free.
+ */
+const capturePayment = async (order) => {
+  if (canRefund(order)) {
+    return { ok: true };
+  }
+  if (order.paymentStatus !== 'authorized') {
+    return { ok: false, failureReason: `payment_${order.paymentStatus}` };
+  }
+
+  const provider = getProvider(order.paymentDetails.provider);
+  let result;
+  try {
+    result = await provider.capture({
+      transactionId: order.paymentDetails.transactionId,
+      amount: order.totalAmount,
+      currency: currency(),
+    });
+  } catch (error) {
+    result = { status: 'failed', failureReason: error.message };
+  }
+
+  if (result.status !== 'captured') {
+    return { ok: false, failureReason: result.failureReason || 'capture_failed' };
+  }
+
+  order.paymentStatus = 'paid';
+  order.paymentDetails = { ...order.paymentDetails, capturedAt: new Date() };
+  return { ok: true };
+};
+
+/**
+ * Release an authorized payment that will never be captured, e.g. when the
+ * order is cancelled before processing. Payments in any other state have
+ * nothing to void and succeed. On failure the payment stays authorized, and
+ * lapses when the provider's authorization expires.
+ */
+const voidPayment = async (order) => {
+  if (order.paymentStatus !== 'authorized') {
+    return { ok: true };
+  }
+
+  const provider = getProvider(order.paymentDetails.provider);
+  let result;
+  try {
+    result = await provider.voidAuthorization({
+      transactionId: order.paymentDetails.transactionId,
+      amount: order.totalAmount,
+      currency: currency(),
+    });
+  } catch (error) {
+    result = { status: 'failed', failureReason: error.message };
+  }
+
+  if (result.status !== 'voided') {
+    return { ok: false, failureReason: result.failureReason || 'void_failed' };
+  }
+
+  order.paymentStatus = 'voided';
+  order.paymentDetails = { ...order.paymentDetails, voidedAt: new Date() };
+  return { ok: true };
+};
+
+/**
+ * Derive the refund part of paymentStatus from completed refunds. Call it
+ * whenever a refund is completed, including by hand.
+ */
+const updateRefundStatus = (order) => {
+  const refunded = order.refunds
+    .filter(refund => refund.status === 'completed')
+    .reduce((total, refund) => total + refund.amount, 0);
+
+  if (refunded <= 0 || !(canRefund(order) || order.paymentStatus === 'refunded')) {
+    return;
+  }
+  order.paymentStatus = roundMoney(refunded) >= roundMoney(order.totalAmount)
+    ? 'refunded'
+    : 'partially_refunded';
+};
+
+/**
+ * Send a pending refund record to the provider. Refunds for orders without a
+ * provider payment stay pending for an admin to settle by hand.
+ */
+const refundPayment = async (order, refund) => {
+  const details = order.paymentDetails || {};
+  if (!details.transactionId || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return;
+  }
+
+  const provider = getProvider(details.provider);
+  let result;
+  try {
+    result = await provider.refund({
+      transactionId: details.transactionId,
+      refundId: refund._id.toString(),
+      amount: refund.amount,
+      currency: currency(),
+    });
+  } catch (error) {
+    result = { status: 'failed', failureReason: error.message };
+  }
+
+  refund.providerRefundId = result.providerRefundId || refund.providerRefundId;
+  if (result.status === 'completed' || result.status === 'failed') {
+    refund.status = result.status;
+    refund.processedAt = new Date();
+  }
+
+  updateRefundStatus(order);
+};
+
+/**
+ * Apply a verified webhook event to its order. Only moves payments forward,
+ * so replayed or out-of-order events can't undo later changes. Returns
+ * whether the order changed.
+ */
+const applyWebhookEvent = (order, event) => {
+  const data = event.data || {};
+
+  switch (event.type) {
+    case 'payment.authorized':
+      if (order.paymentStatus !== 'unpaid') return false;
+      order.paymentStatus = 'authorized';
+      order.paymentDetails = { ...order.paymentDetails, authorizedAt: new Date() };
+      return true;
+
+    case 'payment.captured':
+      if (!['unpaid', 'authorized'].includes(order.paymentStatus)) return false;
+      order.paymentStatus = 'paid';
+      order.paymentDetails = { ...order.paymentDetails, capturedAt: new Date() };
+      return true;
+
+    case 'payment.failed':
+      if (!['unpaid', 'authorized'].includes(order.paymentStatus)) return false;
+      order.paymentStatus = 'failed';
+      order.paymentDetails = {
+        ...order.paymentDetails,
+        failureReason: data.failureReason || 'payment_failed',
+      };
+      return true;
+
+    case 'refund.completed':
+    case 'refund.failed': {
+      const refund = order.refunds.find(item =>
+        item.providerRefundId === data.refundId || item._id.toString() === data.refundId
+      );
+      if (!refund || refund.status !== 'pending') return false;
+      refund.status = event.type === 'refund.completed' ? 'completed' : 'failed';
+      refund.processedAt = new Date();
+      updateRefundStatus(order);
+      return true;
+    }
+
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  checkPaymentConfig,
+  authorizePayment,
+  capturePayment,
+  voidPayment,
+  canRefund,
+  refundPayment,
+  updateRefundStatus,
+  applyWebhookEvent,
+};
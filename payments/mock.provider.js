@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Deterministic stand-in for a real payment gateway, for local development
+// and tests. It never touches the network, and isn't registered when
+// NODE_ENV is production. The outcome depends only on the
+// `token` sent as paymentDetails at checkout, modelled on the test tokens
+// real gateways provide:
+//
+//   tok_visa (or no token)   authorized, captured, voided and refunded normally
+//   tok_chargeDeclined       declined at authorization (card_declined)
+//   tok_insufficientFunds    declined at authorization (insufficient_funds)
+//   tok_captureFails         authorized, but capture fails
+//   tok_refundFails          everything works except refunds
+//
+// Webhooks are signed with an HMAC-SHA256 of the raw body, keyed with
+// MOCK_PAYMENT_WEBHOOK_SECRET, in the X-Mock-Signature header; use sign() to
+// build test requests.
+
+const DECLINED_TOKENS = {
+  tok_chargeDeclined: 'card_declined',
+  tok_insufficientFunds: 'insufficient_funds',
+};
+
+const webhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const checkConfig = () => {
+  if (!webhookSecret()) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set for the mock payment provider');
+  }
+};
+
+// Transaction IDs encode the token so later calls behave consistently
+const tokenFromTransaction = (transactionId) => String(transactionId).split(':')[1] || 'tok_visa';
+
+const authorize = async ({ orderId, paymentDetails = {} }) => {
+  const token = paymentDetails.token || 'tok_visa';
+  const transactionId = `mock_txn_${orderId}:${token}`;
+
+  if (DECLINED_TOKENS[token]) {
+    return { status: 'failed', transactionId, failureReason: DECLINED_TOKENS[token] };
+  }
+  return { status: 'authorized', transactionId };
+};
+
+const capture = async ({ transactionId }) => {
+  if (tokenFromTransaction(transactionId) === 'tok_captureFails') {
+    return { status: 'failed', failureReason: 'capture_failed' };
+  }
+  return { status: 'captured' };
+};
+
+const voidAuthorization = async () => ({ status: 'voided' });
+
+const refund = async ({ transactionId, refundId }) => {
+  if (tokenFromTransaction(transactionId) === 'tok_refundFails') {
+    return { status: 'failed', failureReason: 'refund_failed' };
+  }
+  return { status: 'completed', providerRefundId: `mock_rf_${refundId}` };
+};
+
+const sign = (rawBody) =>
+  crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+
+// Returns the parsed event, or null when the signature doesn't match
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers['x-mock-signature'];
+  if (!webhookSecret() || !rawBody || typeof signature !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  authorize,
+  capture,
+  voidAuthorization,
+  refund,
+  verifyWebhook,
+  checkConfig,
+  sign,
+};
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Book = require('../models/book.model');
 const User = require('../models/user.model');
 const Order = require('../models/order.model');
@@ -6,6 +7,15 @@ const Category = require('../models/category.model');
 const authMiddleware = require('../middleware/auth.middleware');
 const adminMiddleware = require('../middleware/admin.middleware');
 const bcrypt = require('bcryptjs');
+const DataRequest = require('../models/dataRequest.model');
+const { deleteUserAccount, countOpenOrders } = require('../utils/accounts');
+const { recomputeBookRatings } = require('../utils/ratings');
+const {
+  EXPORT_FORMATS,
+  exportPersonalData,
+  erasePersonalData,
+  recordDataRequest,
+} = require('../utils/personalData');
 
 const router = express.Router();
 
@@ -314,6 +324,9 @@ router.post('/users', async (req, res) => {
  * /api/admin/users/{id}:
  *   delete:
  *     summary: Delete a user (admin only)
+ *     description: >
+ *       Deletes the user's cart, saved books, reviews, reading progress and
+ *       sessions too. Their orders are kept.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -349,7 +362,8 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
     
-    await User.findByIdAndDelete(req.params.id);
+    // Removes their sessions and personal data too; orders are kept
+    await deleteUserAccount(userToDelete._id);
     
     res.status(200).json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -357,4 +371,355 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/data-export:
+ *   get:
+ *     summary: Download everything stored about a user (admin only)
+ *     description: >
+ *       For answering a personal data request on the user's behalf. Same
+ *       archive as GET /api/users/me/data-export; recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Archive of the user's data
+ *       400:
+ *         description: Unknown format
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/data-export', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const archive = await exportPersonalData(req.params.id, format);
+    
+    if (!archive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await recordDataRequest({
+      user: req.params.id,
+      type: 'export',
+      requestedBy: req.user.id,
+      byAdmin: true,
+      format,
+      details: archive.details
+    });
+    
+    res.set('Content-Type', archive.contentType);
+    res.attachment(archive.filename);
+    res.status(200).send(archive.body);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting personal data', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/data-erasure:
+ *   post:
+ *     summary: Erase a user's account and personal data (admin only)
+ *     description: >
+ *       For answering an erasure request on the user's behalf. Orders are
+ *       anonymised and kept; everything else is deleted. Recorded in the
+ *       audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Personal data erased
+ *       400:
+ *         description: User is an admin
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has orders still in progress
+ */
+router.post('/users/:id/data-erasure', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Admin accounts erase themselves, so one admin can't remove another
+    if (user.isAdmin) {
+      return res.status(400).json({ message: 'Cannot erase an admin account' });
+    }
+    
+    const openOrders = await countOpenOrders(user._id);
+    if (openOrders > 0) {
+      return res.status(409).json({
+        message: 'User has orders in progress. Deliver or cancel them first.',
+        openOrders
+      });
+    }
+    
+    const details = await erasePersonalData(user._id);
+    const dataRequest = await recordDataRequest({
+      user: user._id,
+      type: 'erasure',
+      requestedBy: req.user.id,
+      byAdmin: true,
+      details
+    });
+    
+    res.status(200).json({ message: 'Personal data erased successfully', dataRequest });
+  } catch (error) {
+    res.status(500).json({ message: 'Error erasing personal data', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/data-requests:
+ *   get:
+ *     summary: Get the audit log of personal data exports and erasures (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only requests about this user ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [export, erasure]
+ *     responses:
+ *       200:
+ *         description: Fulfilled requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DataRequest'
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/data-requests', async (req, res) => {
+  try {
+    const { user, type } = req.query;
+    const filter = {};
+    
+    if (user !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      filter.user = user;
+    }
+    if (type !== undefined) {
+      if (!['export', 'erasure'].includes(type)) {
+        return res.status(400).json({ message: 'Type must be export or erasure' });
+      }
+      filter.type = type;
+    }
+    
+    const dataRequests = await DataRequest.find(filter).sort({ fulfilledAt: -1 });
+    
+    res.status(200).json(dataRequests);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving data requests', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/books/ratings/recompute:
+ *   post:
+ *     summary: Rebuild books' rating aggregates from their reviews (admin only)
+ *     description: >
+ *       Repairs ratingAverage, ratingCount and ratingHistogram if they have
+ *       drifted from the reviews. Also available as `npm run recompute-ratings`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bookIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Books to repair; all books when omitted
+ *     responses:
+ *       200:
+ *         description: Number of books whose aggregates changed
+ *       400:
+ *         description: Invalid book IDs
+ */
+router.post('/books/ratings/recompute', async (req, res) => {
+  try {
+    const { bookIds } = req.body;
+    
+    if (bookIds !== undefined && (!Array.isArray(bookIds) || !bookIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ message: 'bookIds must be an array of book IDs' });
+    }
+    
+    const updated = await recomputeBookRatings({ bookIds });
+    
+    res.status(200).json({ message: 'Rating aggregates recomputed', updated });
+  } catch (error) {
+    res.status(500).json({ message: 'Error recomputing rating aggregates', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/inventory/low-stock:
+ *   get:
+ *     summary: Get books at or below their low-stock threshold (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock books, lowest stock first
+ */
+router.get('/inventory/low-stock', async (req, res) => {
+  try {
+    const books = await Book.find({
+      $expr: { $lte: ['$stock', '$lowStockThreshold'] }
+    })
+      .select('title author coverImage price stock lowStockThreshold')
+      .sort({ stock: 1, title: 1 });
+
+    res.status(200).json({
+      count: books.length,
+      outOfStock: books.filter(book => book.stock === 0).length,
+      books
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving low-stock report', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/inventory/{bookId}:
+ *   patch:
+ *     summary: Update a book's stock level or low-stock threshold (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 description: New absolute stock level
+ *               adjustment:
+ *                 type: integer
+ *                 description: Amount to add to (or, if negative, remove from) current stock
+ *               lowStockThreshold:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory updated successfully
+ *       400:
+ *         description: Invalid input or adjustment would make stock negative
+ *       404:
+ *         description: Book not found
+ */
+router.patch('/inventory/:bookId', async (req, res) => {
+  try {
+    const { stock, adjustment, lowStockThreshold } = req.body;
+    
+    if (stock !== undefined && adjustment !== undefined) {
+      return res.status(400).json({ message: 'Send either stock or adjustment, not both' });
+    }
+    
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (stock !== undefined && !isCount(stock)) {
+      return res.status(400).json({ message: 'Stock must be a non-negative integer' });
+    }
+    if (adjustment !== undefined && !Number.isInteger(adjustment)) {
+      return res.status(400).json({ message: 'Adjustment must be an integer' });
+    }
+    if (lowStockThreshold !== undefined && !isCount(lowStockThreshold)) {
+      return res.status(400).json({ message: 'Low-stock threshold must be a non-negative integer' });
+    }
+    
+    const filter = { _id: req.params.bookId };
+    const update = {};
+    
+    if (stock !== undefined) {
+      update.$set = { stock };
+    }
+    if (adjustment !== undefined) {
+      // Adjust atomically so concurrent orders aren't overwritten
+      update.$inc = { stock: adjustment };
+      if (adjustment < 0) {
+        filter.stock = { $gte: -adjustment };
+      }
+    }
+    if (lowStockThreshold !== undefined) {
+      update.$set = { ...update.$set, lowStockThreshold };
+    }
+    
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+    
+    const book = await Book.findOneAndUpdate(filter, update, { new: true })
+      .select('title stock lowStockThreshold');
+    
+    if (!book) {
+      const exists = await Book.exists({ _id: req.params.bookId });
+      if (exists) {
+        return res.status(400).json({ message: 'Not enough stock for this adjustment' });
+      }
+      return res.status(404).json({ message: 'Book not found' });
+    }
+    
+    res.status(200).json(book);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating inventory', error: error.message });
+  }
+});
+
 module.exports = router;
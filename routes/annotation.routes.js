@@ -0,0 +1,549 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Chapter = require('../models/chapter.model');
+const Annotation = require('../models/annotation.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuth.middleware');
+const { canReadFullBook } = require('../utils/library');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
+
+// Mounted at /api/books/:bookId/annotations
+const router = express.Router({ mergeParams: true });
+
+const MAX_HIGHLIGHT_LENGTH = 2000;
+const MAX_NOTE_LENGTH = 2000;
+const EXPORT_FORMATS = ['markdown', 'json'];
+const PUBLIC_CURSOR_KEY = 'createdAt:desc';
+
+// Every route is about one book; load it once
+router.use(async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const book = await Book.findById(req.params.bookId).select('title author');
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    req.book = book;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.param('annotationId', (req, res, next, annotationId) => {
+  if (!mongoose.Types.ObjectId.isValid(annotationId)) {
+    return res.status(404).json({ message: 'Annotation not found' });
+  }
+  next();
+});
+
+// Validate the editable annotation fields; returns an error message or null
+const validateAnnotation = ({ type, color, note, isPublic }) => {
+  if (color !== undefined && (type !== 'highlight' || !Annotation.HIGHLIGHT_COLORS.includes(color))) {
+    return type === 'highlight'
+      ? `Color must be one of: ${Annotation.HIGHLIGHT_COLORS.join(', ')}`
+      : 'Only highlights have a color';
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return `Note can be at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+    return 'isPublic must be a boolean';
+  }
+  if (isPublic && type !== 'highlight') {
+    return 'Only highlights can be public';
+  }
+  return null;
+};
+
+// The user's annotations in a book in reading order: by chapter, then by
+// position within the chapter
+const findInReadingOrder = async (userId, bookId, filter = {}) => {
+  const annotations = await Annotation.find({ user: userId, book: bookId, ...filter })
+    .populate('chapter', 'title position');
+
+  return annotations
+    .filter(annotation => annotation.chapter)
+    .sort((a, b) =>
+      a.chapter.position - b.chapter.position ||
+      a.start - b.start ||
+      a.createdAt - b.createdAt
+    );
+};
+
+// Render annotations, already in reading order, as a Markdown document
+const toMarkdown = (book, annotations) => {
+  const lines = [`# ${book.title}`, '', `*${book.author}*`];
+  let chapterId = null;
+
+  annotations.forEach(annotation => {
+    if (!annotation.chapter._id.equals(chapterId)) {
+      chapterId = annotation.chapter._id;
+      lines.push('', `## ${annotation.chapter.title}`);
+    }
+
+    lines.push('');
+    if (annotation.type === 'highlight') {
+      lines.push(...annotation.text.split('\n').map(line => `> ${line}`));
+      if (annotation.note) {
+        lines.push('', annotation.note);
+      }
+    } else {
+      lines.push(`- Bookmark${annotation.note ? `: ${annotation.note}` : ''} (position ${annotation.start})`);
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations/public:
+ *   get:
+ *     summary: Get the highlights readers have shared on a book
+ *     description: >
+ *       Works without signing in, but only users who own the book see
+ *       highlights from every chapter; everyone else sees those from preview
+ *       chapters, so shared highlights can't be used to read the paid text.
+ *       Newest first, with cursor pagination.
+ *     tags: [Annotations]
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: >
+ *           Public highlights with the reader's username and chapter title, and
+ *           `access` (`full` or `preview`) saying which chapters they cover
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: Book not found
+ */
+router.get('/public', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const filter = { book: req.book._id, isPublic: true };
+
+    const fullAccess = await canReadFullBook(req.user, req.book._id);
+    if (!fullAccess) {
+      filter.chapter = { $in: await Chapter.find({ book: req.book._id, isPreview: true }).distinct('_id') };
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, PUBLIC_CURSOR_KEY);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(filter, buildCursorFilter('createdAt', -1, cursor));
+    }
+
+    const annotations = await Annotation.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('user', 'username')
+      .populate('chapter', 'title position');
+
+    const hasMore = annotations.length > limit;
+    const page = annotations.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.status(200).json({
+      access: fullAccess ? 'full' : 'preview',
+      annotations: page,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(PUBLIC_CURSOR_KEY, last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving highlights', error: error.message });
+  }
+});
+
+// Everything else is about the signed-in user's own annotations
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations:
+ *   get:
+ *     summary: Get the current user's highlights and bookmarks in a book
+ *     tags: [Annotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [highlight, bookmark]
+ *       - in: query
+ *         name: chapterId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Annotations in reading order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Annotation'
+ *       400:
+ *         description: Invalid type or chapter ID
+ *       404:
+ *         description: Book not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type, chapterId } = req.query;
+    const filter = {};
+
+    if (type !== undefined) {
+      if (!['highlight', 'bookmark'].includes(type)) {
+        return res.status(400).json({ message: 'Type must be highlight or bookmark' });
+      }
+      filter.type = type;
+    }
+    if (chapterId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+        return res.status(400).json({ message: 'Invalid chapter ID' });
+      }
+      filter.chapter = chapterId;
+    }
+
+    const annotations = await findInReadingOrder(req.user.id, req.book._id, filter);
+
+    res.status(200).json(annotations);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving annotations', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations/export:
+ *   get:
+ *     summary: Download the current user's highlights and bookmarks in a book
+ *     tags: [Annotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, json]
+ *           default: markdown
+ *     responses:
+ *       200:
+ *         description: A Markdown or JSON file, grouped by chapter in reading order
+ *       400:
+ *         description: Unsupported format
+ *       404:
+ *         description: Book not found
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'markdown';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const annotations = await findInReadingOrder(req.user.id, req.book._id);
+    const basename = `annotations-${req.book._id}`;
+
+    if (format === 'json') {
+      res.attachment(`${basename}.json`);
+      return res.status(200).json({
+        book: req.book,
+        exportedAt: new Date(),
+        annotations,
+      });
+    }
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.attachment(`${basename}.md`);
+    res.status(200).send(toMarkdown(req.book, annotations));
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting annotations', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations:
+ *   post:
+ *     summary: Highlight text or bookmark a position in a chapter
+ *     description: >
+ *       The user must be able to read the chapter: it is part of the free
+ *       preview or they own the book. A highlight's text is copied from the
+ *       chapter between `start` and `end`.
+ *     tags: [Annotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - chapterId
+ *               - type
+ *               - start
+ *             properties:
+ *               chapterId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [highlight, bookmark]
+ *               start:
+ *                 type: integer
+ *               end:
+ *                 type: integer
+ *                 description: Required for highlights
+ *               color:
+ *                 type: string
+ *                 enum: [yellow, green, blue, pink, purple]
+ *                 default: yellow
+ *               note:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Annotation created
+ *       400:
+ *         description: Invalid input or range outside the chapter
+ *       403:
+ *         description: The user can't read this chapter
+ *       404:
+ *         description: Book or chapter not found
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { chapterId, type, start, end, color, note, isPublic } = req.body;
+
+    if (!['highlight', 'bookmark'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be highlight or bookmark' });
+    }
+    const error = validateAnnotation({ type, color, note, isPublic });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const chapter = mongoose.Types.ObjectId.isValid(chapterId)
+      ? await Chapter.findOne({ _id: chapterId, book: req.book._id }).select('content isPreview')
+      : null;
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+    if (!chapter.isPreview && !(await canReadFullBook(req.user, req.book._id))) {
+      return res.status(403).json({ message: 'Buy this book to annotate this chapter' });
+    }
+
+    if (!Number.isInteger(start) || start < 0 || start > chapter.content.length) {
+      return res.status(400).json({ message: 'Start must be a position within the chapter' });
+    }
+
+    const annotation = new Annotation({
+      user: req.user.id,
+      book: req.book._id,
+      chapter: chapter._id,
+      type,
+      start,
+      note,
+    });
+
+    if (type === 'highlight') {
+      if (!Number.isInteger(end) || end <= start || end > chapter.content.length) {
+        return res.status(400).json({ message: 'End must be a position after start within the chapter' });
+      }
+      if (end - start > MAX_HIGHLIGHT_LENGTH) {
+        return res.status(400).json({ message: `A highlight can be at most ${MAX_HIGHLIGHT_LENGTH} characters` });
+      }
+      annotation.end = end;
+      annotation.text = chapter.content.slice(start, end);
+      annotation.color = color || 'yellow';
+      annotation.isPublic = Boolean(isPublic);
+    }
+
+    const savedAnnotation = await annotation.save();
+
+    res.status(201).json(savedAnnotation);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating annotation', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations/{annotationId}:
+ *   put:
+ *     summary: Change an annotation's note, color or visibility
+ *     description: To change what is highlighted, delete the highlight and make a new one.
+ *     tags: [Annotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: annotationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               color:
+ *                 type: string
+ *                 enum: [yellow, green, blue, pink, purple]
+ *               note:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Annotation updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Annotation not found
+ */
+router.put('/:annotationId', async (req, res) => {
+  try {
+    const { color, note, isPublic } = req.body;
+
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      user: req.user.id,
+      book: req.book._id,
+    });
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    const error = validateAnnotation({ type: annotation.type, color, note, isPublic });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (color !== undefined) {
+      annotation.color = color;
+    }
+    if (note !== undefined) {
+      annotation.note = note;
+    }
+    if (isPublic !== undefined) {
+      annotation.isPublic = isPublic;
+    }
+    const updatedAnnotation = await annotation.save();
+
+    res.status(200).json(updatedAnnotation);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating annotation', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/annotations/{annotationId}:
+ *   delete:
+ *     summary: Delete a highlight or bookmark
+ *     tags: [Annotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: annotationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Annotation deleted
+ *       404:
+ *         description: Annotation not found
+ */
+router.delete('/:annotationId', async (req, res) => {
+  try {
+    const annotation = await Annotation.findOneAndDelete({
+      _id: req.params.annotationId,
+      user: req.user.id,
+      book: req.book._id,
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    res.status(200).json({ message: 'Annotation deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting annotation', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,19 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const {
+  PASSWORD_RESET_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  issueUserToken,
+  consumeUserToken,
+  sendVerification,
+} = require('../utils/tokens');
+const { MIN_PASSWORD_LENGTH } = require('../utils/accounts');
+const { sendPasswordResetEmail } = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -30,7 +42,9 @@ const router = express.Router();
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: >
+ *           User registered successfully. A verification link is emailed to
+ *           the user; some actions are unavailable until it is used.
  *       400:
  *         description: Invalid input or user already exists
  */
@@ -49,25 +63,32 @@ router.post('/register', async (req, res) => {
       email,
       password: hashedPassword,
       isAdmin: false, // Ensure all new users are not admins
+      emailVerified: false,
     });
 
     await newUser.save();
 
-    // Generate token after registration to auto-login
-    const token = jwt.sign(
-      { id: newUser._id, username: newUser.username, isAdmin: newUser.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // A mail failure shouldn't fail registration; the user can ask for a new link
+    try {
+      await sendVerification(newUser);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Start a session after registration to auto-login
+    const { token, refreshToken, expiresIn } = await createSession(newUser, req);
 
     res.status(201).json({ 
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: newUser._id,
         username: newUser.username,
         email: newUser.email,
-        isAdmin: newUser.isAdmin
+        isAdmin: newUser.isAdmin,
+        emailVerified: newUser.emailVerified
       }
     });
   } catch (error) {
@@ -114,19 +135,18 @@ router.post('/login', async (req, res) => {
     if (!isPasswordValid) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
-    const token = jwt.sign(
-      { id: user._id, username: user.username, isAdmin: user.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(200).json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        emailVerified: user.emailVerified !== false
       },
     });
   } catch (error) {
@@ -134,4 +154,380 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: >
+ *       Refresh tokens rotate: the token sent here stops working and the new
+ *       one must be used next time. Sending an already used refresh token
+ *       again revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.status(200).json(tokens);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, 'logout_all');
+
+    res.status(200).json({
+      message: 'Logged out of all devices',
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json(sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session._id.toString() === req.user.sid,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Token is invalid, expired or already used
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const userToken = await consumeUserToken(token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: >
+ *       Always responds with the same message, whether or not an account
+ *       exists for the email, so it can't be used to discover accounts.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (user) {
+      const token = await issueUserToken(user, 'password_reset', PASSWORD_RESET_TTL_MS);
+      // Answer the same whether or not the email went out, so failures don't
+      // reveal which addresses have accounts
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError);
+      }
+    }
+
+    res.status(200).json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Resetting the password logs the user out of all devices.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Token is invalid, expired or already used, or password is too short
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const userToken = await consumeUserToken(token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Following the emailed link also proves the user owns the address
+    const user = await User.findById(userToken.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    user.password = hashedPassword;
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id, 'revoked');
+
+    res.status(200).json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
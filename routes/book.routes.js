@@ -1,43 +1,428 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Book = require('../models/book.model');
+const Order = require('../models/order.model');
+const Category = require('../models/category.model');
+const Chapter = require('../models/chapter.model');
+const ReadingProgress = require('../models/readingProgress.model');
+const Shelf = require('../models/shelf.model');
+const Annotation = require('../models/annotation.model');
 const authMiddleware = require('../middleware/auth.middleware');
 const adminMiddleware = require('../middleware/admin.middleware');
+const {
+  MAX_CANDIDATES,
+  tokenize,
+  buildCandidateStages,
+  scoreBook,
+  highlightBook,
+  escapeRegex,
+} = require('../utils/search');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+// Sortable fields exposed to clients, mapped to the field used in the pipeline
+const SORT_FIELDS = {
+  relevance: 'score',
+  price: 'price',
+  publishDate: 'publishDate',
+  title: 'title',
+  rating: 'ratingAverage',
+  popularity: 'unitsSold',
+};
+
+const DEFAULT_SORT_ORDER = {
+  relevance: 'desc',
+  price: 'asc',
+  publishDate: 'desc',
+  title: 'asc',
+  rating: 'desc',
+  popularity: 'desc',
+};
+
+// Lower bounds of the price buckets in the facet sidebar; the last one is open-ended
+const PRICE_BUCKETS = [0, 10, 25, 50, 100];
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Pipeline stages adding the relevance score of search results, for sorting
+const scoreStages = (search) => [
+  {
+    $addFields: {
+      score: { $arrayElemAt: [search.scores, { $indexOfArray: [search.ids, '$_id'] }] },
+    },
+  },
+];
+
 /**
  * @swagger
  * /api/books:
  *   get:
  *     summary: Get all books
+ *     description: >
+ *       Returns one page of books together with facet counts for the filter
+ *       sidebar. Pass `pageInfo.nextCursor` back as `cursor` to get the next
+ *       page with the same filters and sort.
+ *
+ *       When `q` is given, books are searched by title, author and description.
+ *       Words match on prefixes (for typeahead) and tolerate small typos. Each
+ *       result then carries a `score` and `highlights` with the matching fields
+ *       as HTML, matches wrapped in `<mark>`.
+ *
+ *       Category facet counts ignore the category filter, and price bucket
+ *       counts ignore the price filter, so the sidebar can show what each
+ *       option would add.
  *     tags: [Books]
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search text matched against title, author and description
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs to filter by
+ *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Category ID to filter by
+ *         description: Single category ID to filter by (same as `categories` with one ID)
+ *       - in: query
+ *         name: categoryMode
+ *         schema:
+ *           type: string
+ *           enum: [or, and]
+ *           default: or
+ *         description: Whether books must be in any (`or`) or all (`and`) of the categories
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on part of the author name
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: publishedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: publishedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price, publishDate, title, rating, popularity]
+ *         description: Sort field; defaults to `relevance` with `q` and `title` otherwise
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort direction; defaults depend on the sort field
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the previous page's `pageInfo.nextCursor`
  *     responses:
  *       200:
- *         description: List of books
+ *         description: A page of books with facet counts
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Book'
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Book'
+ *                 total:
+ *                   type: integer
+ *                 searchCapped:
+ *                   type: boolean
+ *                   description: >
+ *                     True when `q` matched too many books to score them all.
+ *                     Only the best candidates are searched, so `total` and the
+ *                     facet counts are then lower bounds; a more specific query
+ *                     gives exact counts.
+ *                 pageInfo:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             $ref: '#/components/schemas/Category'
+ *                           count:
+ *                             type: integer
+ *                     priceRanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Invalid query parameters
  */
 router.get('/', async (req, res) => {
   try {
-    const { category } = req.query;
-    let query = {};
-    
-    if (category) {
-      query.categories = category;
+    const { q, author, categoryMode = 'or' } = req.query;
+
+    // Validate filters
+    const categoryIds = [req.query.category, req.query.categories]
+      .filter(Boolean)
+      .join(',')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (categoryIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid category ID' });
     }
-    
-    const books = await Book.find(query).populate('categories');
-    res.status(200).json(books);
+    if (!['and', 'or'].includes(categoryMode)) {
+      return res.status(400).json({ message: 'categoryMode must be "and" or "or"' });
+    }
+
+    const minPrice = parseNumber(req.query.minPrice);
+    const maxPrice = parseNumber(req.query.maxPrice);
+    if (minPrice === null || maxPrice === null) {
+      return res.status(400).json({ message: 'Price filters must be non-negative numbers' });
+    }
+
+    const publishedFrom = parseDate(req.query.publishedFrom);
+    const publishedTo = parseDate(req.query.publishedTo);
+    if (publishedFrom === null || publishedTo === null) {
+      return res.status(400).json({ message: 'Invalid publish date filter' });
+    }
+
+    const terms = tokenize(q);
+    const sortKey = req.query.sort || (terms.length > 0 ? 'relevance' : 'title');
+    if (!SORT_FIELDS[sortKey] || (sortKey === 'relevance' && terms.length === 0)) {
+      return res.status(400).json({ message: 'Invalid sort field' });
+    }
+
+    const order = req.query.order || DEFAULT_SORT_ORDER[sortKey];
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ message: 'order must be "asc" or "desc"' });
+    }
+    const direction = order === 'asc' ? 1 : -1;
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, `${sortKey}:${order}`);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+
+    // Filters shared by the page and all facets
+    const baseMatch = {};
+    if (author) {
+      baseMatch.author = { $regex: escapeRegex(String(author)), $options: 'i' };
+    }
+    if (publishedFrom || publishedTo) {
+      baseMatch.publishDate = {};
+      if (publishedFrom) baseMatch.publishDate.$gte = publishedFrom;
+      if (publishedTo) baseMatch.publishDate.$lte = publishedTo;
+    }
+
+    // Search is scored in JS, then narrowed down to the matching IDs
+    const search = { ids: [], scores: [], highlights: new Map(), capped: false };
+    if (terms.length > 0) {
+      const candidates = await Book.aggregate([
+        { $match: baseMatch },
+        ...buildCandidateStages(terms),
+      ]);
+      search.capped = candidates.length > MAX_CANDIDATES;
+
+      candidates.slice(0, MAX_CANDIDATES).forEach(book => {
+        const score = scoreBook(book, terms);
+        if (score > 0) {
+          search.ids.push(book._id);
+          search.scores.push(score);
+          search.highlights.set(book._id.toString(), highlightBook(book, terms));
+        }
+      });
+      baseMatch._id = { $in: search.ids };
+    }
+
+    const categoryMatch = {};
+    if (categoryIds.length > 0) {
+      const ids = categoryIds.map(id => new mongoose.Types.ObjectId(id));
+      categoryMatch.categories = categoryMode === 'and' ? { $all: ids } : { $in: ids };
+    }
+
+    const priceMatch = {};
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      priceMatch.price = {};
+      if (minPrice !== undefined) priceMatch.price.$gte = minPrice;
+      if (maxPrice !== undefined) priceMatch.price.$lte = maxPrice;
+    }
+
+    const sortField = SORT_FIELDS[sortKey];
+    const pageMatch = { ...baseMatch, ...categoryMatch, ...priceMatch };
+    const cursorMatch = cursor ? buildCursorFilter(sortField, direction, cursor) : {};
+    const pageSort = { [sortField]: direction, _id: direction };
+
+    // The page is queried on its own, outside the facets, so the sort and
+    // cursor can use the index on each sort field. Relevance sorts the scored
+    // search results, which are few enough to sort in memory. One extra item
+    // is fetched to know whether there is another page.
+    const pageEntries = sortKey === 'relevance'
+      ? await Book.aggregate([
+        { $match: pageMatch },
+        ...scoreStages(search),
+        { $match: cursorMatch },
+        { $sort: pageSort },
+        { $limit: limit + 1 },
+        { $project: { score: 1 } },
+      ])
+      : await Book.find({ ...pageMatch, ...cursorMatch })
+        .sort(pageSort)
+        .limit(limit + 1)
+        .select({ [sortField]: 1 })
+        .collation(Book.LISTING_COLLATION)
+        .lean();
+
+    const [result] = await Book.aggregate([
+      { $match: baseMatch },
+      {
+        $facet: {
+          total: [{ $match: { ...categoryMatch, ...priceMatch } }, { $count: 'count' }],
+          categories: [
+            { $match: priceMatch },
+            { $unwind: '$categories' },
+            { $group: { _id: '$categories', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          priceRanges: [
+            { $match: categoryMatch },
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BUCKETS,
+                default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+        },
+      },
+    ]).collation(Book.LISTING_COLLATION);
+
+    const hasMore = pageEntries.length > limit;
+    const page = pageEntries.slice(0, limit);
+
+    // Load full documents so books keep the same shape as GET /api/books/:id
+    const books = await Book.find({ _id: { $in: page.map(entry => entry._id) } })
+      .populate('categories');
+    const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+    const pageBooks = page
+      .filter(entry => booksById.has(entry._id.toString()))
+      .map(entry => {
+        const book = booksById.get(entry._id.toString()).toJSON();
+        if (sortKey === 'popularity') book.unitsSold = entry.unitsSold;
+        if (terms.length > 0) {
+          book.score = search.scores[search.ids.findIndex(id => id.equals(entry._id))];
+          book.highlights = search.highlights.get(entry._id.toString());
+        }
+        return book;
+      });
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor(`${sortKey}:${order}`, last[sortField], last._id)
+      : null;
+
+    // Resolve category names for the facet sidebar
+    const facetCategories = await Category.find({
+      _id: { $in: result.categories.map(entry => entry._id) },
+    });
+    const categoriesById = new Map(facetCategories.map(category => [category._id.toString(), category]));
+
+    const countsByBucket = new Map(result.priceRanges.map(bucket => [bucket._id, bucket.count]));
+
+    res.status(200).json({
+      books: pageBooks,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      searchCapped: search.capped,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor,
+      },
+      facets: {
+        categories: result.categories
+          .filter(entry => categoriesById.has(entry._id.toString()))
+          .map(entry => ({
+            category: categoriesById.get(entry._id.toString()),
+            count: entry.count,
+          })),
+        priceRanges: PRICE_BUCKETS.map((min, index) => ({
+          min,
+          max: index + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[index + 1] : null,
+          count: countsByBucket.get(min) || 0,
+        })),
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -97,7 +482,7 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { title, author, description, coverImage, publishDate, price, categories } = req.body;
+    const { title, author, description, coverImage, publishDate, price, categories, stock, lowStockThreshold } = req.body;
     
     const newBook = new Book({
       title,
@@ -106,7 +491,9 @@ router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
       coverImage,
       publishDate,
       price,
-      categories
+      categories,
+      stock,
+      lowStockThreshold
     });
     
     const savedBook = await newBook.save();
@@ -144,7 +531,7 @@ router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
  */
 router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { title, author, description, coverImage, publishDate, price, categories } = req.body;
+    const { title, author, description, coverImage, publishDate, price, categories, stock, lowStockThreshold } = req.body;
     
     // Validate required fields
     if (!title || !author || !description) {
@@ -166,6 +553,15 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     book.price = price || 0;
     book.categories = categories || [];
     
+    // Stock levels are only changed when sent, so an edit form without them
+    // doesn't wipe out inventory
+    if (stock !== undefined) {
+      book.stock = stock;
+    }
+    if (lowStockThreshold !== undefined) {
+      book.lowStockThreshold = lowStockThreshold;
+    }
+    
     const updatedBook = await book.save();
     
     // Populate categories for the response
@@ -211,8 +607,15 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     
     console.log('Book found, proceeding with deletion');
     
-    // Perform the deletion
+    // Perform the deletion, along with the book's content
     await Book.deleteOne({ _id: req.params.id });
+    await Chapter.deleteMany({ book: req.params.id });
+    await ReadingProgress.deleteMany({ book: req.params.id });
+    await Annotation.deleteMany({ book: req.params.id });
+    await Shelf.updateMany(
+      { 'entries.book': req.params.id },
+      { $pull: { entries: { book: req.params.id } } }
+    );
     
     console.log('Book deleted successfully');
     
@@ -240,31 +643,151 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
  * /api/books/stats/top-selling:
  *   get:
  *     summary: Get top selling books
+ *     description: >
+ *       Aggregates units sold and revenue from non-cancelled orders placed in
+ *       the given date range. Each entry includes its rank movement compared
+ *       with the previous period of the same length.
  *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID to restrict the ranking to
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 100
+ *         description: Number of books to return
  *     responses:
  *       200:
  *         description: Top selling books retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  */
 router.get('/stats/top-selling', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    // In a real app, you would track sales in orders and calculate
-    // For this example, we'll simulate with random data
-    const books = await Book.find().populate('categories');
-    
-    // Add random sales data for demo purposes
-    const booksWithSales = books.map(book => {
-      const bookObj = book.toObject();
-      bookObj.unitsSold = Math.floor(Math.random() * 100) + 1; // Random number 1-100
-      return bookObj;
-    });
-    
-    // Sort by units sold
-    const topBooks = booksWithSales.sort((a, b) => b.unitsSold - a.unitsSold).slice(0, 5);
-    
+    const { from, to, category } = req.query;
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ message: 'Limit must be an integer between 1 and 100' });
+    }
+
+    if (category && !mongoose.Types.ObjectId.isValid(category)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+
+    // Restrict to books in the category before ranking so ranks are per category
+    let bookIds = null;
+    if (category) {
+      bookIds = await Book.find({ categories: category }).distinct('_id');
+    }
+
+    // The previous period has the same length and ends where this one starts
+    const previousStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+
+    const [currentSales, previousSales] = await Promise.all([
+      aggregateSales(start, end, bookIds),
+      aggregateSales(previousStart, start, bookIds),
+    ]);
+
+    // Leave out books deleted since they were sold before ranking, so they
+    // don't take up places
+    const existingIds = new Set(
+      (await Book.find({ _id: { $in: [...currentSales, ...previousSales].map(entry => entry._id) } }).distinct('_id'))
+        .map(id => id.toString())
+    );
+    const current = currentSales.filter(entry => existingIds.has(entry._id.toString()));
+    const previous = previousSales.filter(entry => existingIds.has(entry._id.toString()));
+
+    const previousRanks = new Map(
+      previous.map((entry, index) => [entry._id.toString(), index + 1])
+    );
+
+    const topSales = current.slice(0, limit);
+    const books = await Book.find({ _id: { $in: topSales.map(entry => entry._id) } })
+      .populate('categories');
+    const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+    const topBooks = topSales
+      .filter(entry => booksById.has(entry._id.toString()))
+      .map((entry, index) => {
+        const book = booksById.get(entry._id.toString());
+        const rank = index + 1;
+        const previousRank = previousRanks.get(entry._id.toString()) || null;
+
+        let movement = 'new';
+        if (previousRank !== null) {
+          if (previousRank > rank) movement = 'up';
+          else if (previousRank < rank) movement = 'down';
+          else movement = 'same';
+        }
+
+        return {
+          ...book.toObject(),
+          unitsSold: entry.unitsSold,
+          revenue: Math.round(entry.revenue * 100) / 100,
+          rank,
+          previousRank,
+          rankChange: previousRank !== null ? previousRank - rank : null,
+          movement,
+        };
+      });
+
     res.status(200).json(topBooks);
   } catch (error) {
     res.status(500).json({ message: 'Error retrieving top books', error: error.message });
   }
 });
 
+// Sum units and revenue per book for non-cancelled orders created in [start, end),
+// sorted best-selling first. Ties on units are broken by revenue, then book ID
+// so the ranking is stable between requests.
+const aggregateSales = (start, end, bookIds) => {
+  const itemMatch = bookIds ? [{ $match: { 'items.book': { $in: bookIds } } }] : [];
+
+  return Order.aggregate([
+    {
+      $match: {
+        status: { $ne: 'cancelled' },
+        createdAt: { $gte: start, $lt: end },
+      },
+    },
+    { $unwind: '$items' },
+    ...itemMatch,
+    {
+      $group: {
+        _id: '$items.book',
+        unitsSold: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+      },
+    },
+    { $sort: { unitsSold: -1, revenue: -1, _id: 1 } },
+  ]);
+};
+
 module.exports = router;
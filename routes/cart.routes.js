@@ -1,6 +1,10 @@
 const express = require('express');
 const Cart = require('../models/cart.model');
 const Book = require('../models/book.model');
+const Coupon = require('../models/coupon.model');
+const { evaluateCoupon } = require('../utils/coupons');
+const { priceOrder } = require('../utils/pricing');
+const { findSavedAddress } = require('../utils/addresses');
 const authMiddleware = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -10,6 +14,10 @@ const router = express.Router();
  * /api/cart:
  *   get:
  *     summary: Get user's cart
+ *     description: >
+ *       Items are checked against the current books first. Changed prices are
+ *       updated and items whose book was deleted are removed, each with an
+ *       entry in `notices` that must be acknowledged before checkout.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -19,17 +27,21 @@ const router = express.Router();
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user.id }).populate({
-      path: 'items.book',
-      select: 'title author coverImage price'
-    });
+    let cart = await Cart.findOne({ user: req.user.id });
     
     if (!cart) {
       // Create empty cart if none exists
       cart = new Cart({ user: req.user.id, items: [], totalAmount: 0 });
       await cart.save();
+    } else if ((await cart.reconcile()).updated) {
+      await cart.save();
     }
     
+    await cart.populate({
+      path: 'items.book',
+      select: 'title author coverImage price'
+    });
+    
     res.status(200).json(cart);
   } catch (error) {
     res.status(500).json({ message: 'Error retrieving cart', error: error.message });
@@ -56,15 +68,23 @@ router.get('/', authMiddleware, async (req, res) => {
  *               bookId:
  *                 type: string
  *               quantity:
- *                 type: number
+ *                 type: integer
+ *                 minimum: 1
  *                 default: 1
  *     responses:
  *       200:
  *         description: Item added to cart
+ *       400:
+ *         description: Invalid quantity or not enough stock
  */
 router.post('/add', authMiddleware, async (req, res) => {
   try {
-    const { bookId, quantity = 1 } = req.body;
+    const { bookId } = req.body;
+    const quantity = Number(req.body.quantity === undefined ? 1 : req.body.quantity);
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a whole number of at least 1' });
+    }
     
     // Validate book exists
     const book = await Book.findById(bookId);
@@ -85,6 +105,16 @@ router.post('/add', authMiddleware, async (req, res) => {
       item => item.book.toString() === bookId
     );
     
+    // Check stock for the total quantity that would end up in the cart
+    const inCart = existingItemIndex >= 0 ? cart.items[existingItemIndex].quantity : 0;
+    if (inCart + quantity > book.stock) {
+      return res.status(400).json({
+        message: book.stock > 0 ? `Only ${book.stock} left in stock` : 'Book is out of stock',
+        available: book.stock,
+        inCart
+      });
+    }
+    
     if (existingItemIndex >= 0) {
       // Update quantity if item exists
       cart.items[existingItemIndex].quantity += quantity;
@@ -93,7 +123,8 @@ router.post('/add', authMiddleware, async (req, res) => {
       cart.items.push({
         book: bookId,
         quantity,
-        price: book.price
+        price: book.price,
+        title: book.title
       });
     }
     
@@ -145,6 +176,8 @@ router.post('/add', authMiddleware, async (req, res) => {
  *     responses:
  *       200:
  *         description: Cart item updated
+ *       400:
+ *         description: Invalid quantity or not enough stock
  */
 router.put('/update/:itemId', authMiddleware, async (req, res) => {
   try {
@@ -169,6 +202,18 @@ router.put('/update/:itemId', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Item not found in cart' });
     }
     
+    // Check stock for the new quantity
+    const book = await Book.findById(cart.items[itemIndex].book);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+    if (quantity > book.stock) {
+      return res.status(400).json({
+        message: book.stock > 0 ? `Only ${book.stock} left in stock` : 'Book is out of stock',
+        available: book.stock
+      });
+    }
+    
     // Update quantity
     cart.items[itemIndex].quantity = quantity;
     
@@ -265,8 +310,10 @@ router.delete('/clear', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Cart not found' });
     }
     
-    // Clear cart items
+    // Clear cart items and any applied coupon
     cart.items = [];
+    cart.coupon = null;
+    cart.couponCode = null;
     cart.totalAmount = 0;
     
     await cart.save();
@@ -277,4 +324,252 @@ router.delete('/clear', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply a coupon to the cart
+ *     description: Replaces any coupon already applied. Only one coupon can be used per order.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied; the cart shows the discount
+ *       400:
+ *         description: Coupon can't be used with this cart
+ *       404:
+ *         description: Coupon not found
+ */
+router.post('/coupon', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+    
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+    
+    // Check before applying so a rejected code doesn't replace a working one
+    const result = await evaluateCoupon(coupon, cart.items, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    
+    cart.coupon = coupon._id;
+    cart.couponCode = coupon.code;
+    await cart.save();
+    
+    const updatedCart = await Cart.findById(cart._id).populate({
+      path: 'items.book',
+      select: 'title author coverImage price'
+    });
+    
+    res.status(200).json(updatedCart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error applying coupon', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed
+ *       404:
+ *         description: Cart not found
+ */
+router.delete('/coupon', authMiddleware, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+    
+    cart.coupon = null;
+    cart.couponCode = null;
+    await cart.save();
+    
+    const updatedCart = await Cart.findById(cart._id).populate({
+      path: 'items.book',
+      select: 'title author coverImage price'
+    });
+    
+    res.status(200).json(updatedCart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing coupon', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/quote:
+ *   post:
+ *     summary: Preview order totals for a shipping address
+ *     description: >
+ *       Returns the same breakdown checkout will store on the order: each line
+ *       with its share of the discount and its tax, shipping for the
+ *       destination, and the total. Only country and state are needed; send
+ *       addressId to quote for a saved address instead.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Price breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderPricing'
+ *       400:
+ *         description: Empty cart, unknown saved address or address that can't be shipped to
+ */
+router.post('/quote', authMiddleware, async (req, res) => {
+  try {
+    const { addressId } = req.body;
+    let { shippingAddress } = req.body;
+    
+    if (addressId) {
+      shippingAddress = await findSavedAddress(req.user.id, addressId);
+      if (!shippingAddress) {
+        return res.status(400).json({ message: 'Saved address not found' });
+      }
+    }
+    
+    const cart = await Cart.findOne({ user: req.user.id });
+    
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+    
+    // Refresh prices and the coupon discount before quoting
+    await cart.reconcile();
+    await cart.save();
+    
+    if (cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty', notices: cart.notices });
+    }
+    
+    await cart.populate({
+      path: 'items.book',
+      select: 'title price'
+    });
+    
+    const quote = priceOrder(
+      cart.items.map(item => ({
+        book: item.book._id,
+        title: item.book.title,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      shippingAddress,
+      { discount: cart.discount, freeShipping: cart.freeShipping }
+    );
+    
+    if (quote.error) {
+      return res.status(400).json({ message: quote.error });
+    }
+    
+    res.status(200).json({
+      ...quote,
+      couponCode: cart.couponCode,
+      couponError: cart.couponError,
+      notices: cart.notices
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error calculating quote', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/notices/acknowledge:
+ *   post:
+ *     summary: Acknowledge price changes and removed items
+ *     description: Clears the cart's notices so checkout can go ahead.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notices cleared
+ *       404:
+ *         description: Cart not found
+ */
+router.post('/notices/acknowledge', authMiddleware, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+    
+    // Pick up any change made since the customer last loaded the cart, so
+    // they can't acknowledge a price they haven't seen
+    const { changed } = await cart.reconcile();
+    if (changed) {
+      await cart.save();
+      await cart.populate({
+        path: 'items.book',
+        select: 'title author coverImage price'
+      });
+      return res.status(409).json({
+        message: 'Your cart changed again. Please review it before continuing.',
+        cart
+      });
+    }
+    
+    cart.notices = [];
+    await cart.save();
+    
+    await cart.populate({
+      path: 'items.book',
+      select: 'title author coverImage price'
+    });
+    
+    res.status(200).json(cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error acknowledging cart changes', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -110,6 +110,31 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// Set whether reviewing books in this category requires a delivered order (admin only)
+router.put('/:id/review-policy', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { requirePurchaseToReview } = req.body;
+    
+    if (typeof requirePurchaseToReview !== 'boolean') {
+      return res.status(400).json({ message: 'requirePurchaseToReview must be a boolean' });
+    }
+    
+    const updatedCategory = await Category.findByIdAndUpdate(
+      req.params.id,
+      { requirePurchaseToReview },
+      { new: true }
+    );
+    
+    if (!updatedCategory) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    res.status(200).json(updatedCategory);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating review policy', error: error.message });
+  }
+});
+
 // Delete category (admin only)
 router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -0,0 +1,459 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Chapter = require('../models/chapter.model');
+const Annotation = require('../models/annotation.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuth.middleware');
+const { canReadFullBook } = require('../utils/library');
+
+// Mounted at /api/books/:bookId/chapters
+const router = express.Router({ mergeParams: true });
+
+const MAX_CHAPTER_LENGTH = Chapter.MAX_CONTENT_LENGTH;
+const TOC_FIELDS = 'title position isPreview wordCount';
+
+// Every route is about one book; load it once
+router.use(async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const book = await Book.findById(req.params.bookId).select('title author');
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    req.book = book;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.param('chapterId', (req, res, next, chapterId) => {
+  if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+    return res.status(404).json({ message: 'Chapter not found' });
+  }
+  next();
+});
+
+// Validate chapter fields from a request body; returns an error message or null
+const validateChapter = ({ title, content, isPreview }, { partial = false } = {}) => {
+  if ((!partial || title !== undefined) && (typeof title !== 'string' || title.trim() === '')) {
+    return 'Title is required';
+  }
+  if ((!partial || content !== undefined) && (typeof content !== 'string' || content.trim() === '')) {
+    return 'Content is required';
+  }
+  if (typeof content === 'string' && content.length > MAX_CHAPTER_LENGTH) {
+    return `Content can be at most ${MAX_CHAPTER_LENGTH} characters`;
+  }
+  if (isPreview !== undefined && typeof isPreview !== 'boolean') {
+    return 'isPreview must be a boolean';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters:
+ *   get:
+ *     summary: Get the table of contents of a book
+ *     description: >
+ *       Works without signing in. Chapters are locked unless they are part of
+ *       the free preview or the user owns the book (has a paid or delivered
+ *       order for it).
+ *     tags: [Reader]
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chapters in reading order and the user's level of access
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 book:
+ *                   type: object
+ *                 access:
+ *                   type: string
+ *                   enum: [full, preview]
+ *                 chapters:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChapterSummary'
+ *       404:
+ *         description: Book not found
+ */
+router.get('/', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const fullAccess = await canReadFullBook(req.user, req.book._id);
+    const chapters = await Chapter.find({ book: req.book._id })
+      .select(TOC_FIELDS)
+      .sort({ position: 1 })
+      .lean();
+
+    res.status(200).json({
+      book: req.book,
+      access: fullAccess ? 'full' : 'preview',
+      chapters: chapters.map(chapter => ({
+        ...chapter,
+        locked: !fullAccess && !chapter.isPreview
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving chapters', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters/order:
+ *   put:
+ *     summary: Reorder the chapters of a book (admin only)
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - chapterIds
+ *             properties:
+ *               chapterIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every chapter ID of the book, in the new order
+ *     responses:
+ *       200:
+ *         description: New table of contents
+ *       400:
+ *         description: The IDs aren't exactly the book's chapters
+ *       404:
+ *         description: Book not found
+ */
+router.put('/order', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { chapterIds } = req.body;
+
+    if (!Array.isArray(chapterIds)) {
+      return res.status(400).json({ message: 'chapterIds must be an array' });
+    }
+
+    const chapters = await Chapter.find({ book: req.book._id }).select('_id');
+    const existingIds = new Set(chapters.map(chapter => chapter._id.toString()));
+    const requestedIds = new Set(chapterIds.map(String));
+
+    if (
+      chapterIds.length !== existingIds.size ||
+      requestedIds.size !== existingIds.size ||
+      [...requestedIds].some(id => !existingIds.has(id))
+    ) {
+      return res.status(400).json({ message: 'chapterIds must list every chapter of the book exactly once' });
+    }
+
+    if (chapterIds.length > 0) {
+      await Chapter.bulkWrite(
+        chapterIds.map((id, index) => ({
+          updateOne: {
+            filter: { _id: id, book: req.book._id },
+            update: { position: index + 1 },
+          },
+        }))
+      );
+    }
+
+    const reordered = await Chapter.find({ book: req.book._id })
+      .select(TOC_FIELDS)
+      .sort({ position: 1 });
+
+    res.status(200).json(reordered);
+  } catch (error) {
+    res.status(400).json({ message: 'Error reordering chapters', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters/{chapterId}:
+ *   get:
+ *     summary: Read a chapter
+ *     description: >
+ *       Preview chapters can be read by anyone; the rest need the user to own
+ *       the book.
+ *     tags: [Reader]
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The chapter with its content and the neighbouring chapter IDs
+ *       403:
+ *         description: The chapter isn't in the preview and the user doesn't own the book
+ *       404:
+ *         description: Book or chapter not found
+ */
+router.get('/:chapterId', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, book: req.book._id });
+
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    if (!chapter.isPreview && !(await canReadFullBook(req.user, req.book._id))) {
+      return res.status(403).json({
+        message: 'This chapter is only available to readers who own the book',
+        locked: true
+      });
+    }
+
+    const [previous, next] = await Promise.all([
+      Chapter.findOne({ book: req.book._id, position: { $lt: chapter.position } })
+        .sort({ position: -1 })
+        .select('_id'),
+      Chapter.findOne({ book: req.book._id, position: { $gt: chapter.position } })
+        .sort({ position: 1 })
+        .select('_id'),
+    ]);
+
+    res.status(200).json({
+      ...chapter.toObject(),
+      previousChapter: previous ? previous._id : null,
+      nextChapter: next ? next._id : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving chapter', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters:
+ *   post:
+ *     summary: Add a chapter to a book (admin only)
+ *     description: >
+ *       The chapter goes at the end unless a position is given, in which case
+ *       the chapters from that position on move down one place.
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - content
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               isPreview:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Chapter created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Book not found
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { title, content, isPreview, position } = req.body;
+
+    const error = validateChapter({ title, content, isPreview });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const count = await Chapter.countDocuments({ book: req.book._id });
+    let chapterPosition = count + 1;
+
+    if (position !== undefined) {
+      if (!Number.isInteger(position) || position < 1) {
+        return res.status(400).json({ message: 'Position must be a positive integer' });
+      }
+      chapterPosition = Math.min(position, count + 1);
+      await Chapter.updateMany(
+        { book: req.book._id, position: { $gte: chapterPosition } },
+        { $inc: { position: 1 } }
+      );
+    }
+
+    const chapter = new Chapter({
+      book: req.book._id,
+      title,
+      content,
+      isPreview,
+      position: chapterPosition
+    });
+    const savedChapter = await chapter.save();
+
+    res.status(201).json(savedChapter);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating chapter', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters/{chapterId}:
+ *   put:
+ *     summary: Update a chapter (admin only)
+ *     description: Use PUT /api/books/{bookId}/chapters/order to move chapters.
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               isPreview:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Chapter updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Book or chapter not found
+ */
+router.put('/:chapterId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { title, content, isPreview } = req.body;
+
+    const error = validateChapter({ title, content, isPreview }, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, book: req.book._id });
+
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    if (title !== undefined) {
+      chapter.title = title;
+    }
+    if (content !== undefined) {
+      chapter.content = content;
+    }
+    if (isPreview !== undefined) {
+      chapter.isPreview = isPreview;
+    }
+
+    const updatedChapter = await chapter.save();
+
+    res.status(200).json(updatedChapter);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating chapter', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{bookId}/chapters/{chapterId}:
+ *   delete:
+ *     summary: Delete a chapter (admin only)
+ *     description: >
+ *       The chapters after it move up one place. Readers' highlights and
+ *       bookmarks in the chapter are deleted with it.
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chapter deleted
+ *       404:
+ *         description: Book or chapter not found
+ */
+router.delete('/:chapterId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const chapter = await Chapter.findOneAndDelete({ _id: req.params.chapterId, book: req.book._id });
+
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    await Chapter.updateMany(
+      { book: req.book._id, position: { $gt: chapter.position } },
+      { $inc: { position: -1 } }
+    );
+    await Annotation.deleteMany({ chapter: chapter._id });
+
+    res.status(200).json({ message: 'Chapter deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting chapter', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const Coupon = require('../models/coupon.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+
+const router = express.Router();
+
+// Apply middleware to all routes in this router
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// Fields admins can set; usedCount is maintained by checkout
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'books',
+  'categories',
+  'minSubtotal',
+  'startsAt',
+  'expiresAt',
+  'usageLimit',
+  'perUserLimit',
+  'active',
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   get:
+ *     summary: Get all coupons (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.status(200).json(coupons);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving coupons', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon by ID (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('books', 'title')
+      .populate('categories', 'name');
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.status(200).json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving coupon', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Invalid input or code already exists
+ */
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (!fields.code || typeof fields.code !== 'string') {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: fields.code.trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({ message: 'Coupon with this code already exists' });
+    }
+
+    const savedCoupon = await new Coupon(fields).save();
+    res.status(201).json(savedCoupon);
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating coupon', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (admin only)
+ *     description: >
+ *       Orders keep a copy of the coupon as it was at checkout, so edits only
+ *       affect carts and future orders.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Invalid input or code already exists
+ *       404:
+ *         description: Coupon not found
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (fields.code) {
+      const existingCoupon = await Coupon.findOne({
+        code: String(fields.code).trim().toUpperCase(),
+        _id: { $ne: req.params.id }
+      });
+      if (existingCoupon) {
+        return res.status(400).json({ message: 'Another coupon with this code already exists' });
+      }
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    coupon.set(fields);
+    const updatedCoupon = await coupon.save();
+
+    res.status(200).json(updatedCoupon);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating coupon', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (admin only)
+ *     description: >
+ *       Coupons that have already been used are deactivated instead of
+ *       deleted, so their usage history stays intact.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.active = false;
+      await coupon.save();
+      return res.status(200).json({ message: 'Coupon has been used, so it was deactivated instead', coupon });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+
+    res.status(200).json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting coupon', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { markVerifiedReviews } = require('../utils/reviews');
+
+const ORDER_CONFLICT_MESSAGE = Order.CONFLICT_MESSAGE;
+
+const router = express.Router();
+
+// Apply middleware to all routes in this router
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+const MAX_BULK_ROWS = 1000;
+const TRACKING_NUMBER_REGEX = /^[A-Za-z0-9-]{6,40}$/;
+
+// Validate tracking details; returns an error message or null
+const validateTracking = (trackingNumber, carrier) => {
+  if (!trackingNumber || !TRACKING_NUMBER_REGEX.test(trackingNumber)) {
+    return 'Tracking number must be 6-40 letters, digits or dashes';
+  }
+  if (carrier !== undefined && typeof carrier !== 'string') {
+    return 'Carrier must be a string';
+  }
+  return null;
+};
+
+// Split CSV text into rows of trimmed fields. Handles quoted fields, which
+// spreadsheet exports use for values containing commas.
+const parseCsv = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, text: line }))
+    .filter(row => row.text.trim() !== '')
+    .map(row => {
+      const fields = [];
+      let field = '';
+      let quoted = false;
+
+      for (let i = 0; i < row.text.length; i++) {
+        const char = row.text[i];
+        if (quoted) {
+          if (char === '"' && row.text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          fields.push(field.trim());
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+      fields.push(field.trim());
+
+      return { line: row.line, fields };
+    });
+
+// Set tracking details and mark a processing order as shipped
+const shipOrder = (order, { trackingNumber, carrier }, userId, note) => {
+  if (trackingNumber) {
+    order.trackingNumber = trackingNumber;
+  }
+  if (carrier !== undefined) {
+    order.carrier = carrier;
+  }
+  order.transitionTo('shipped', userId, note);
+};
+
+/**
+ * @swagger
+ * /api/admin/fulfilment/orders:
+ *   get:
+ *     summary: Get orders waiting for fulfilment (admin only)
+ *     tags: [Fulfilment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, shipped]
+ *           default: processing
+ *     responses:
+ *       200:
+ *         description: Orders in the given status, oldest first
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const { status = 'processing' } = req.query;
+
+    if (!['pending', 'processing', 'shipped'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const orders = await Order.find({ status })
+      .populate('user', 'username email')
+      .populate({
+        path: 'items.book',
+        select: 'title author'
+      })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json(orders);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving orders', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/fulfilment/orders/{id}/tracking:
+ *   put:
+ *     summary: Set the tracking number and carrier of an order (admin only)
+ *     tags: [Fulfilment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - trackingNumber
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tracking details updated
+ *       400:
+ *         description: Invalid tracking details or order already delivered or cancelled
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.put('/orders/:id/tracking', async (req, res) => {
+  try {
+    const { trackingNumber, carrier } = req.body;
+
+    const error = validateTracking(trackingNumber, carrier);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (['delivered', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ message: `Cannot change tracking of a ${order.status} order` });
+    }
+
+    order.trackingNumber = trackingNumber;
+    if (carrier !== undefined) {
+      order.carrier = carrier;
+    }
+    // Version-checked, so tracking can't be added to an order that was
+    // delivered or cancelled in the meantime
+    order.increment();
+    const updatedOrder = await order.save();
+
+    res.status(200).json(updatedOrder);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error updating tracking', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/fulfilment/orders/{id}/ship:
+ *   post:
+ *     summary: Mark a processing order as shipped (admin only)
+ *     description: >
+ *       A tracking number is required, either already set on the order or
+ *       sent in the body.
+ *     tags: [Fulfilment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order marked as shipped
+ *       400:
+ *         description: Missing tracking number or order is not processing
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.post('/orders/:id/ship', async (req, res) => {
+  try {
+    const { trackingNumber, carrier, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const error = validateTracking(trackingNumber || order.trackingNumber, carrier);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!order.canTransitionTo('shipped')) {
+      return res.status(400).json({ message: `Cannot ship a ${order.status} order` });
+    }
+
+    shipOrder(order, { trackingNumber, carrier }, req.user.id, note);
+    const updatedOrder = await order.save();
+
+    res.status(200).json(updatedOrder);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error shipping order', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/fulfilment/orders/{id}/deliver:
+ *   post:
+ *     summary: Mark a shipped order as delivered (admin only)
+ *     description: The customer's reviews of the books in it become verified purchases.
+ *     tags: [Fulfilment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order marked as delivered
+ *       400:
+ *         description: Order is not shipped
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.post('/orders/:id/deliver', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!order.canTransitionTo('delivered')) {
+      return res.status(400).json({ message: `Cannot deliver a ${order.status} order` });
+    }
+
+    order.transitionTo('delivered', req.user.id, req.body.note);
+    const updatedOrder = await order.save();
+    await markVerifiedReviews(updatedOrder);
+
+    res.status(200).json(updatedOrder);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error delivering order', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/fulfilment/orders/bulk-ship:
+ *   post:
+ *     summary: Ship many orders from a CSV of order IDs and tracking numbers (admin only)
+ *     description: >
+ *       Each line is `orderId,trackingNumber[,carrier]`; a header line is
+ *       skipped. Rows are processed independently, so one bad row doesn't stop
+ *       the others. The response lists the outcome of every row.
+ *     tags: [Fulfilment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             orderId,trackingNumber,carrier
+ *             60d0fe4f5311236168a109d0,1Z999AA10123456784,UPS
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - csv
+ *             properties:
+ *               csv:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-row results
+ *       400:
+ *         description: Empty or oversized CSV
+ */
+router.post('/orders/bulk-ship', express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'CSV content is required' });
+    }
+
+    let rows = parseCsv(csv);
+    if (rows.length > 0 && rows[0].fields[0].toLowerCase() === 'orderid') {
+      rows = rows.slice(1);
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'CSV has no rows' });
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+      return res.status(400).json({ message: `CSV can have at most ${MAX_BULK_ROWS} rows` });
+    }
+
+    const results = [];
+    const seen = new Set();
+
+    for (const { line, fields } of rows) {
+      const [orderId, trackingNumber, carrier] = fields;
+      const fail = (error) => results.push({ line, orderId, success: false, error });
+
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        fail('Invalid order ID');
+        continue;
+      }
+      if (seen.has(orderId)) {
+        fail('Duplicate order ID in CSV');
+        continue;
+      }
+      seen.add(orderId);
+
+      const error = validateTracking(trackingNumber, carrier);
+      if (error) {
+        fail(error);
+        continue;
+      }
+
+      const order = await Order.findById(orderId);
+      if (!order) {
+        fail('Order not found');
+        continue;
+      }
+      if (!order.canTransitionTo('shipped')) {
+        fail(`Cannot ship a ${order.status} order`);
+        continue;
+      }
+
+      try {
+        shipOrder(order, { trackingNumber, carrier }, req.user.id, 'Bulk shipment');
+        await order.save();
+        results.push({ line, orderId, success: true, trackingNumber });
+      } catch (saveError) {
+        fail(saveError instanceof mongoose.Error.VersionError ? ORDER_CONFLICT_MESSAGE : saveError.message);
+      }
+    }
+
+    const shipped = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      shipped,
+      failed: results.length - shipped,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing bulk shipment', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const ReviewReport = require('../models/reviewReport.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const {
+  moderationConfig,
+  changeReviewStatus,
+  resolveReports,
+  deleteReview,
+} = require('../utils/moderation');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
+
+// Mounted at /api/admin/moderation
+const router = express.Router();
+
+// Apply middleware to all routes in this router
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// What each queue lists; the default shows everything waiting for a moderator
+const QUEUES = {
+  open: { $or: [{ status: 'pending' }, { openReportCount: { $gt: 0 } }] },
+  pending: { status: 'pending' },
+  reported: { openReportCount: { $gt: 0 } },
+  hidden: { status: 'hidden' },
+};
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: 'Review not found' });
+  }
+  next();
+});
+
+// Apply a moderator's decision to a review and close its reports in one
+// transaction. Responds with the updated review.
+const moderateReview = async (req, res, status, resolution) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let found;
+    await session.withTransaction(async () => {
+      found = await changeReviewStatus(
+        req.params.id,
+        status,
+        { openReportCount: 0, moderatedBy: req.user.id, moderatedAt: new Date() },
+        { session }
+      );
+      if (found) {
+        await resolveReports(req.params.id, resolution, req.user.id, { session });
+      }
+    });
+
+    if (!found) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const review = await Review.findById(req.params.id)
+      .populate('user', 'username')
+      .populate('book', 'title');
+
+    res.status(200).json(review);
+  } catch (error) {
+    res.status(500).json({ message: 'Error moderating review', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/moderation/rules:
+ *   get:
+ *     summary: Get the rules that flag reviews on submission (admin only)
+ *     description: Set in config/moderation.js or the file named by MODERATION_CONFIG_PATH.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Banned words, link detection and report thresholds
+ */
+router.get('/rules', (req, res) => {
+  res.status(200).json(moderationConfig);
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/reviews:
+ *   get:
+ *     summary: Get the review moderation queue (admin only)
+ *     description: Oldest first, with cursor pagination.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *           enum: [open, pending, reported, hidden]
+ *           default: open
+ *         description: >
+ *           `open` is everything waiting for a moderator: reviews held as
+ *           pending and reviews with open reports
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reviews with their author, book, flags and open report count
+ *       400:
+ *         description: Invalid queue, limit or cursor
+ */
+router.get('/reviews', async (req, res) => {
+  try {
+    const queue = req.query.queue || 'open';
+    if (!QUEUES[queue]) {
+      return res.status(400).json({ message: `Queue must be one of: ${Object.keys(QUEUES).join(', ')}` });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const cursorKey = `moderation:${queue}`;
+    const filters = [QUEUES[queue]];
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, cursorKey);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filters.push(buildCursorFilter('createdAt', 1, cursor));
+    }
+
+    const reviews = await Review.find({ $and: filters })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate('user', 'username email')
+      .populate('book', 'title');
+
+    const hasMore = reviews.length > limit;
+    const page = reviews.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.status(200).json({
+      reviews: page,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(cursorKey, last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving moderation queue', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/reviews/{id}:
+ *   get:
+ *     summary: Get a review with all its reports (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The review and its reports, newest first
+ *       404:
+ *         description: Review not found
+ */
+router.get('/reviews/:id', async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id)
+      .populate('user', 'username email')
+      .populate('book', 'title')
+      .populate('moderatedBy', 'username');
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const reports = await ReviewReport.find({ review: review._id })
+      .populate('user', 'username')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ review, reports });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving review', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/moderation/reviews/{id}/approve:
+ *   post:
+ *     summary: Publish a review and dismiss its reports (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review published
+ *       404:
+ *         description: Review not found
+ */
+router.post('/reviews/:id/approve', (req, res) =>
+  moderateReview(req, res, 'published', 'approved'));
+
+/**
+ * @swagger
+ * /api/admin/moderation/reviews/{id}/hide:
+ *   post:
+ *     summary: Take a review down and close its reports (admin only)
+ *     description: The author can still see and delete it. Approve it to publish it again.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review hidden
+ *       404:
+ *         description: Review not found
+ */
+router.post('/reviews/:id/hide', (req, res) =>
+  moderateReview(req, res, 'hidden', 'hidden'));
+
+/**
+ * @swagger
+ * /api/admin/moderation/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review and close its reports (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/reviews/:id', async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let deletedReview;
+    await session.withTransaction(async () => {
+      deletedReview = await deleteReview(req.params.id, req.user.id, { session });
+    });
+
+    if (!deletedReview) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.status(200).json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting review', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
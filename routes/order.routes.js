@@ -1,11 +1,168 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/order.model');
 const Cart = require('../models/cart.model');
+const Coupon = require('../models/coupon.model');
 const User = require('../models/user.model');
 const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const verifiedMiddleware = require('../middleware/verified.middleware');
+const { reserveStock, releaseStock, describeStockFailures } = require('../utils/inventory');
+const {
+  authorizePayment,
+  capturePayment,
+  voidPayment,
+  canRefund,
+  refundPayment,
+  updateRefundStatus,
+} = require('../payments');
+const { redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { priceOrder } = require('../utils/pricing');
+const { resolveShippingAddress } = require('../utils/addresses');
+const { markVerifiedReviews } = require('../utils/reviews');
 
 const router = express.Router();
 
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+
+// Thrown inside the checkout transaction to abort it and send a response
+class CheckoutError extends Error {
+  constructor(status, body) {
+    super(body.message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Put a cancelled checkout's items and coupon back in the user's cart, unless
+// they have already started filling it again
+const restoreCart = async (order, session) => {
+  const cart = await Cart.findOne({ user: order.user }).session(session);
+  if (!cart || cart.items.length > 0) {
+    return;
+  }
+  
+  cart.items = order.pricing.lines.map(line => ({
+    book: line.book,
+    quantity: line.quantity,
+    price: line.unitPrice,
+    title: line.title
+  }));
+  if (order.coupon && order.coupon.coupon) {
+    cart.coupon = order.coupon.coupon;
+    cart.couponCode = order.coupon.code;
+  }
+  await cart.save();
+};
+
+const ORDER_CONFLICT_MESSAGE = Order.CONFLICT_MESSAGE;
+
+const declinedResponse = (order) => ({
+  status: 402,
+  body: {
+    message: 'Payment was declined',
+    reason: order.paymentDetails.failureReason,
+    order: order._id
+  }
+});
+
+// Undo a checkout whose payment was declined and put the items back in the cart
+const cancelDeclinedCheckout = (orderId, userId, session) =>
+  session.withTransaction(async () => {
+    // A concurrent retry may have finished the cancellation already
+    const order = await Order.findById(orderId).session(session);
+    if (order.status !== 'pending') {
+      return;
+    }
+    order.transitionTo('cancelled', userId, 'Payment declined');
+    await order.save();
+    
+    await releaseStock(order.items, { session });
+    if (order.coupon && order.coupon.coupon) {
+      await releaseCoupon(order.coupon.coupon, order._id, { session });
+    }
+    await restoreCart(order, session);
+  });
+
+// Authorize a new order's payment and save the result, cancelling the order
+// when it is declined. Returns the status and body to answer with.
+const authorizeCheckout = async (order, paymentDetails, userId, session) => {
+  const authorized = await authorizePayment(order, paymentDetails);
+  await order.save();
+  
+  if (!authorized) {
+    await cancelDeclinedCheckout(order._id, userId, session);
+    return declinedResponse(order);
+  }
+  return { status: 201, body: order };
+};
+
+// Answer a retried checkout with the outcome of the first attempt, finishing
+// it when that attempt stopped between creating the order and authorizing or
+// cancelling it
+const replayCheckout = async (order, paymentDetails, userId, session) => {
+  if (order.paymentStatus === 'failed') {
+    if (order.status === 'pending') {
+      await cancelDeclinedCheckout(order._id, userId, session);
+    }
+    return declinedResponse(order);
+  }
+  
+  if (order.paymentStatus === 'unpaid') {
+    if (order.status !== 'pending') {
+      return {
+        status: 409,
+        body: { message: 'This checkout was cancelled before its payment was authorized', order }
+      };
+    }
+    // The version-checked save claims the order, so concurrent retries can't
+    // both authorize it
+    order.increment();
+    await order.save();
+    return authorizeCheckout(order, paymentDetails, userId, session);
+  }
+  
+  return { status: 200, body: order };
+};
+
+// Cancel an order: record the change, put the items back in stock, give the
+// coupon use back and return the payment. An authorized payment is voided,
+// since no money was taken yet; whatever was captured and not yet refunded is
+// refunded. Nothing is returned when no money was taken.
+const cancelOrder = async (order, userId, reason) => {
+  order.transitionTo('cancelled', userId, reason);
+  
+  let refund = null;
+  const refundable = roundMoney(order.totalAmount - order.refundedAmount());
+  if (canRefund(order) && refundable > 0) {
+    order.refunds.push({
+      amount: refundable,
+      reason: reason || 'Order cancelled',
+      createdBy: userId
+    });
+    refund = order.refunds[order.refunds.length - 1];
+  }
+  
+  // Claim the cancellation, with its pending refund, before any money or
+  // stock moves. A concurrent cancellation fails here with a VersionError.
+  await order.save();
+  
+  if (refund) {
+    await refundPayment(order, refund);
+  } else {
+    await voidPayment(order);
+  }
+  await order.save();
+  
+  await releaseStock(order.items);
+  
+  if (order.coupon && order.coupon.coupon) {
+    await releaseCoupon(order.coupon.coupon, order._id);
+  }
+};
+
 /**
  * @swagger
  * /api/orders:
@@ -94,9 +251,27 @@ router.get('/:id', authMiddleware, async (req, res) => {
  * /api/orders:
  *   post:
  *     summary: Create a new order
+ *     description: >
+ *       Prices the cart for the shipping address (discount, shipping and tax,
+ *       as previewed by POST /api/cart/quote), then authorizes the order total
+ *       with the payment provider. The payment is captured when the order
+ *       moves to processing. The order, stock, coupon use and emptied cart
+ *       are written in one MongoDB transaction, which needs a replica set.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: >
+ *           Unique key for this checkout attempt. Retrying with the same key
+ *           answers with the outcome of the first request instead of placing
+ *           another order: the order if its payment went through, or 402 if it
+ *           was declined. A first request that stopped before authorizing the
+ *           payment is finished by the retry.
  *     requestBody:
  *       required: true
  *       content:
@@ -104,67 +279,221 @@ router.get('/:id', authMiddleware, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - shippingAddress
  *               - paymentMethod
  *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address to ship to, instead of shippingAddress
  *               shippingAddress:
- *                 type: object
- *                 required:
- *                   - fullName
- *                   - address
- *                   - city
- *                   - postalCode
- *                   - country
- *                   - phone
+ *                 $ref: '#/components/schemas/Address'
  *               paymentMethod:
  *                 type: string
- *                 enum: [credit_card, paypal, cash_on_delivery]
+ *                 enum: [credit_card, paypal, stripe]
+ *               paymentDetails:
+ *                 type: object
+ *                 description: >
+ *                   Provider payment token, e.g. `{ "token": "tok_visa" }`.
+ *                   Never send raw card details.
  *     responses:
+ *       200:
+ *         description: An order was already placed with this Idempotency-Key; it is returned unchanged
  *       201:
- *         description: Order created successfully
+ *         description: Order created and payment authorized
  *       400:
- *         description: Empty cart or invalid input
+ *         description: Empty cart, invalid input or address, or items out of stock
+ *       402:
+ *         description: Payment was declined; the order is cancelled and the items are put back in the cart
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: >
+ *           Cart has price changes or removed items to acknowledge first, the
+ *           order for this Idempotency-Key was cancelled before its payment was
+ *           authorized, or another retry is finishing it
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, verifiedMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+  
   try {
-    const { shippingAddress, paymentMethod } = req.body;
+    const { addressId, paymentMethod, paymentDetails } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key');
     
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id }).populate({
-      path: 'items.book',
-      select: 'title price'
-    });
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+      return res.status(400).json({ message: 'Idempotency-Key must be 1-255 visible ASCII characters' });
+    }
     
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({ message: 'Cart is empty' });
+    const { address: shippingAddress, error: addressError } = await resolveShippingAddress(
+      req.user.id,
+      { addressId, shippingAddress: req.body.shippingAddress }
+    );
+    if (addressError) {
+      return res.status(400).json({ message: addressError });
     }
     
-    // Create order items from cart
-    const orderItems = cart.items.map(item => ({
-      book: item.book._id,
-      quantity: item.quantity,
-      price: item.price
-    }));
+    // A retry of a checkout that went through finds the cart already emptied
+    if (idempotencyKey) {
+      const existingOrder = await Order.findOne({ user: req.user.id, idempotencyKey });
+      if (existingOrder) {
+        const { status, body } = await replayCheckout(existingOrder, paymentDetails, req.user.id, session);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(status).json(body);
+      }
+    }
     
-    // Create new order
-    const order = new Order({
-      user: req.user.id,
-      items: orderItems,
-      totalAmount: cart.totalAmount,
-      shippingAddress,
-      paymentMethod
-    });
+    // Check items against current books and recompute totals, so stale
+    // prices, deleted books and expired coupons aren't honoured. This is saved
+    // before the transaction, so the notices are kept when checkout stops to
+    // show them.
+    const currentCart = await Cart.findOne({ user: req.user.id });
+    if (currentCart && currentCart.items.length > 0) {
+      await currentCart.reconcile();
+      await currentCart.save();
+    }
     
-    const createdOrder = await order.save();
+    let createdOrder;
+    let replayed;
     
-    // Clear cart after order creation
-    cart.items = [];
-    cart.totalAmount = 0;
-    await cart.save();
+    // Creating the order, taking stock, redeeming the coupon and clearing the
+    // cart commit together. Concurrent checkouts of the same cart conflict on
+    // the cart, and the retried transaction then sees an empty cart or the
+    // order the other request created.
+    await session.withTransaction(async () => {
+      replayed = false;
+      
+      if (idempotencyKey) {
+        const existingOrder = await Order.findOne({ user: req.user.id, idempotencyKey }).session(session);
+        if (existingOrder) {
+          createdOrder = existingOrder;
+          replayed = true;
+          return;
+        }
+      }
+      
+      // Get user's cart
+      const cart = await Cart.findOne({ user: req.user.id }).session(session);
+      
+      if (!cart || cart.items.length === 0) {
+        throw new CheckoutError(400, { message: 'Cart is empty' });
+      }
+      
+      if (cart.notices.length > 0) {
+        throw new CheckoutError(409, {
+          message: 'Some prices or items in your cart have changed. Please review and acknowledge them before checking out.',
+          notices: cart.notices
+        });
+      }
+      
+      await cart.populate({
+        path: 'items.book',
+        select: 'title price'
+      });
+      
+      if (cart.coupon && cart.couponError) {
+        throw new CheckoutError(400, {
+          message: `Coupon ${cart.couponCode} can no longer be applied: ${cart.couponError}. Remove it to continue.`
+        });
+      }
+      
+      const coupon = cart.coupon ? await Coupon.findById(cart.coupon).session(session) : null;
+      
+      // Create order items from cart
+      const orderItems = cart.items.map(item => ({
+        book: item.book._id,
+        quantity: item.quantity,
+        price: item.price
+      }));
+      
+      // Add shipping and tax for the destination
+      const pricing = priceOrder(
+        cart.items.map(item => ({
+          book: item.book._id,
+          title: item.book.title,
+          quantity: item.quantity,
+          price: item.price
+        })),
+        shippingAddress,
+        { discount: cart.discount, freeShipping: cart.freeShipping }
+      );
+      if (pricing.error) {
+        throw new CheckoutError(400, { message: pricing.error });
+      }
+      
+      // Create new order
+      const order = new Order({
+        user: req.user.id,
+        items: orderItems,
+        subtotal: cart.subtotal,
+        discount: cart.discount,
+        coupon: coupon && {
+          coupon: coupon._id,
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          freeShipping: cart.freeShipping
+        },
+        shippingCost: pricing.shipping.amount,
+        taxAmount: pricing.tax.amount,
+        pricing: {
+          lines: pricing.lines,
+          shipping: pricing.shipping,
+          tax: pricing.tax
+        },
+        totalAmount: pricing.total,
+        shippingAddress,
+        paymentMethod,
+        // Set now so an order whose authorization never ran isn't taken for
+        // one placed before payments were tracked
+        paymentDetails: { provider: process.env.PAYMENT_PROVIDER },
+        statusHistory: [{ from: null, to: 'pending', changedBy: req.user.id }],
+        idempotencyKey
+      });
+      
+      // Validate before touching stock so bad input doesn't reserve anything
+      await order.validate();
+      
+      const reservation = await reserveStock(orderItems, { session });
+      if (!reservation.ok) {
+        throw new CheckoutError(400, {
+          message: 'Some items are out of stock',
+          items: await describeStockFailures(reservation.failures)
+        });
+      }
+      
+      if (coupon && !(await redeemCoupon(coupon._id, req.user.id, order._id, { session }))) {
+        throw new CheckoutError(400, { message: 'Coupon usage limit has been reached' });
+      }
+      
+      createdOrder = await order.save({ session });
+      
+      // Clear cart in the same transaction as the order
+      cart.items = [];
+      cart.coupon = null;
+      cart.couponCode = null;
+      cart.totalAmount = 0;
+      await cart.save();
+    });
+    
+    if (replayed) {
+      const { status, body } = await replayCheckout(createdOrder, paymentDetails, req.user.id, session);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(status).json(body);
+    }
     
-    res.status(201).json(createdOrder);
+    // Payment happens outside the transaction, since a retried transaction
+    // must not authorize twice. The order needs an ID before the provider can
+    // reference it.
+    const { status, body } = await authorizeCheckout(createdOrder, paymentDetails, req.user.id, session);
+    res.status(status).json(body);
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.status).json(error.body);
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
     res.status(400).json({ message: 'Error creating order', error: error.message });
+  } finally {
+    await session.endSession();
   }
 });
 
@@ -173,6 +502,11 @@ router.post('/', authMiddleware, async (req, res) => {
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status (admin only)
+ *     description: >
+ *       Orders move pending → processing → shipped → delivered, and can be
+ *       cancelled while pending or processing. Moving to processing captures
+ *       the payment. Cancelling puts the items back in stock and voids the
+ *       payment, or refunds it once captured.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -193,18 +527,31 @@ router.post('/', authMiddleware, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, processing, shipped, delivered]
+ *                 enum: [processing, shipped, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Optional reason stored in the status history
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status or transition not allowed
+ *       402:
+ *         description: >
+ *           Payment capture failed, or the order has no payment to capture
+ *           (unpaid, failed, voided or refunded); the status is unchanged
+ *       403:
+ *         description: Admin rights required
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
  */
-router.put('/:id/status', authMiddleware, async (req, res) => {
+router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
     
-    if (!['pending', 'processing', 'shipped', 'delivered'].includes(status)) {
+    if (!Object.keys(Order.TRANSITIONS).includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
     
@@ -214,13 +561,271 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    order.status = status;
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        allowed: Order.TRANSITIONS[order.status]
+      });
+    }
+    
+    if (status === 'cancelled') {
+      await cancelOrder(order, req.user.id, note);
+      return res.status(200).json(order);
+    }
+    
+    // Take the money once the order is accepted for fulfilment
+    if (status === 'processing') {
+      const capture = await capturePayment(order);
+      if (!capture.ok) {
+        return res.status(402).json({
+          message: 'Payment capture failed',
+          reason: capture.failureReason
+        });
+      }
+    }
+    
+    order.transitionTo(status, req.user.id, note);
     const updatedOrder = await order.save();
     
+    if (status === 'delivered') {
+      await markVerifiedReviews(updatedOrder);
+    }
+    
     res.status(200).json(updatedOrder);
   } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
     res.status(400).json({ message: 'Error updating order status', error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of your own orders
+ *     description: >
+ *       Only pending and processing orders can be cancelled. The items go back
+ *       in stock. A pending order's payment authorization is voided; a
+ *       processing order's captured payment is refunded through the provider.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       400:
+ *         description: Order can no longer be cancelled
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.post('/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `A ${order.status} order can no longer be cancelled` });
+    }
+    
+    await cancelOrder(order, req.user.id, req.body.reason);
+    
+    res.status(200).json(order);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error cancelling order', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   post:
+ *     summary: Refund part or all of an order (admin only)
+ *     description: >
+ *       The refund is sent to the payment provider. Orders without a provider
+ *       payment keep the refund pending until it is marked completed by hand.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded successfully
+ *       400:
+ *         description: >
+ *           Invalid amount, more than the remaining refundable amount, or no
+ *           money was taken (the payment isn't captured, failed or was voided)
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.post('/:id/refunds', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      return res.status(400).json({ message: 'Amount must be a positive number' });
+    }
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    // No money has been taken yet; cancelling the order voids the payment
+    if (order.paymentStatus === 'authorized') {
+      return res.status(400).json({ message: 'Payment has not been captured yet; cancel the order instead' });
+    }
+    if (!canRefund(order)) {
+      return res.status(400).json({ message: `Nothing to refund; the payment is ${order.paymentStatus}` });
+    }
+    
+    const refundable = roundMoney(order.totalAmount - order.refundedAmount());
+    if (amount > refundable) {
+      return res.status(400).json({
+        message: `Amount exceeds the refundable amount of ${refundable}`,
+        refundable
+      });
+    }
+    
+    order.refunds.push({ amount, reason, createdBy: req.user.id });
+    // Record the pending refund before sending it to the provider. The save is
+    // version-checked, so concurrent refunds can't exceed the refundable amount.
+    order.increment();
+    await order.save();
+    
+    await refundPayment(order, order.refunds[order.refunds.length - 1]);
+    await order.save();
+    
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error recording refund', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds/{refundId}:
+ *   put:
+ *     summary: Mark a pending refund as completed or failed (admin only)
+ *     description: >
+ *       Completed refunds update the order's paymentStatus, so a fully
+ *       refunded order no longer gives the customer the books.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [completed, failed]
+ *     responses:
+ *       200:
+ *         description: Refund updated successfully
+ *       400:
+ *         description: Invalid status or refund already processed
+ *       404:
+ *         description: Order or refund not found
+ *       409:
+ *         description: The order was changed by another request at the same time
+ */
+router.put('/:id/refunds/:refundId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (!['completed', 'failed'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be completed or failed' });
+    }
+    
+    const order = await Order.findById(req.params.id);
+    const refund = order && order.refunds.id(req.params.refundId);
+    
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    
+    if (refund.status !== 'pending') {
+      return res.status(400).json({ message: `Refund is already ${refund.status}` });
+    }
+    
+    refund.status = status;
+    refund.processedAt = new Date();
+    updateRefundStatus(order);
+    // Version-checked, so a concurrent refund update or webhook isn't overwritten
+    order.increment();
+    await order.save();
+    
+    res.status(200).json(order);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ message: ORDER_CONFLICT_MESSAGE });
+    }
+    res.status(400).json({ message: 'Error updating refund', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const Order = require('../models/order.model');
+const PaymentEvent = require('../models/paymentEvent.model');
+const { getProvider, applyWebhookEvent } = require('../payments');
+
+const router = express.Router();
+
+// Webhook signatures are computed over the raw body, so keep it. This router
+// is mounted before the app-wide JSON parser and parses its own bodies.
+router.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: >
+ *       Verifies the provider's signature and updates the order's payment
+ *       status. Events are processed at most once, so providers can safely
+ *       retry deliveries. For the mock provider, sign the raw body with
+ *       HMAC-SHA256 and send the hex digest in X-Mock-Signature.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment provider name, e.g. mock
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Provider event ID
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.captured, payment.failed, refund.completed, refund.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   transactionId:
+ *                     type: string
+ *                   refundId:
+ *                     type: string
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or payload
+ *       404:
+ *         description: Unknown provider
+ */
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    const event = provider.verifyWebhook(req.rawBody, req.headers);
+    if (!event || !event.id || !event.type) {
+      return res.status(400).json({ message: 'Invalid webhook signature or payload' });
+    }
+
+    const alreadyProcessed = await PaymentEvent.exists({
+      provider: req.params.provider,
+      eventId: event.id
+    });
+    if (alreadyProcessed) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    const transactionId = event.data && event.data.transactionId;
+    const order = transactionId
+      ? await Order.findOne({ 'paymentDetails.transactionId': transactionId })
+      : null;
+
+    // Acknowledge unknown transactions so the provider stops retrying
+    if (order && applyWebhookEvent(order, event)) {
+      await order.save();
+    }
+
+    try {
+      await PaymentEvent.create({
+        provider: req.params.provider,
+        eventId: event.id,
+        type: event.type,
+        order: order ? order._id : undefined
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event got here first; the update
+      // above only moves the payment forward, so applying it twice is harmless
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing webhook', error: error.message });
+  }
+});
+
+module.exports = router;
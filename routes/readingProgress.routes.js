@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Chapter = require('../models/chapter.model');
+const ReadingProgress = require('../models/readingProgress.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const { parseLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Apply middleware to all routes in this router
+router.use(authMiddleware);
+
+const CONTINUE_READING_LIMIT = 10;
+
+router.param('bookId', (req, res, next, bookId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookId)) {
+    return res.status(404).json({ message: 'Book not found' });
+  }
+  next();
+});
+
+// Parse the time the reader was at the position. Defaults to now, and a time
+// in the future is treated as now so a device with a fast clock can't pin
+// its position over later reads elsewhere. Returns null when invalid.
+const parseReadAt = (value) => {
+  const now = new Date();
+  if (value === undefined) {
+    return now;
+  }
+  const readAt = new Date(value);
+  if (Number.isNaN(readAt.getTime())) {
+    return null;
+  }
+  return readAt > now ? now : readAt;
+};
+
+/**
+ * @swagger
+ * /api/reading-progress:
+ *   get:
+ *     summary: Get the user's reading progress for all books
+ *     description: >
+ *       For syncing a device: pass `since` to get only the progress that
+ *       changed after the device's last sync.
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Progress per book, most recently read first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReadingProgress'
+ *       400:
+ *         description: Invalid since date
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+
+    if (req.query.since !== undefined) {
+      const since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ message: 'Invalid since date' });
+      }
+      filter.updatedAt = { $gt: since };
+    }
+
+    const progress = await ReadingProgress.find(filter).sort({ lastReadAt: -1 });
+
+    res.status(200).json(progress);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving reading progress', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reading-progress/continue:
+ *   get:
+ *     summary: Get the "continue reading" shelf
+ *     description: Books the user has started but not finished, most recently read first.
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Progress entries with their book and current chapter
+ *       400:
+ *         description: Invalid limit
+ */
+router.get('/continue', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, CONTINUE_READING_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ message: 'Invalid limit' });
+    }
+
+    const progress = await ReadingProgress.find({ user: req.user.id, finishedAt: null })
+      .sort({ lastReadAt: -1 })
+      .limit(limit)
+      .populate('book', 'title author coverImage')
+      .populate('chapter', 'title position');
+
+    res.status(200).json(progress.filter(entry => entry.book));
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving continue reading shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reading-progress/{bookId}:
+ *   get:
+ *     summary: Get the user's progress in a book
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reading progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadingProgress'
+ *       404:
+ *         description: The user hasn't started the book
+ */
+router.get('/:bookId', async (req, res) => {
+  try {
+    const progress = await ReadingProgress.findOne({ user: req.user.id, book: req.params.bookId });
+
+    if (!progress) {
+      return res.status(404).json({ message: 'No reading progress for this book' });
+    }
+
+    res.status(200).json(progress);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving reading progress', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reading-progress/{bookId}:
+ *   put:
+ *     summary: Save the user's position in a book
+ *     description: >
+ *       Devices send the time the reader was at the position as `readAt`.
+ *       The latest position wins: an update older than the saved one is
+ *       rejected with 409 and the saved progress, which the device should
+ *       jump to. Reaching 100 percent marks the book finished.
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - percent
+ *             properties:
+ *               chapterId:
+ *                 type: string
+ *               position:
+ *                 type: number
+ *               percent:
+ *                 type: number
+ *               readAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Progress saved
+ *       400:
+ *         description: Invalid input or chapter not in the book
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: A newer position was already saved from another device
+ */
+router.put('/:bookId', async (req, res) => {
+  try {
+    const { chapterId, position = 0, percent, device = '' } = req.body;
+    const readAt = parseReadAt(req.body.readAt);
+
+    if (!readAt) {
+      return res.status(400).json({ message: 'Invalid readAt date' });
+    }
+    if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+      return res.status(400).json({ message: 'Percent must be a number from 0 to 100' });
+    }
+    if (typeof position !== 'number' || position < 0) {
+      return res.status(400).json({ message: 'Position must be a non-negative number' });
+    }
+    if (typeof device !== 'string') {
+      return res.status(400).json({ message: 'Device must be a string' });
+    }
+
+    if (!(await Book.exists({ _id: req.params.bookId }))) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (chapterId !== undefined && chapterId !== null) {
+      const inBook = mongoose.Types.ObjectId.isValid(chapterId) &&
+        await Chapter.exists({ _id: chapterId, book: req.params.bookId });
+      if (!inBook) {
+        return res.status(400).json({ message: 'Chapter is not part of this book' });
+      }
+    }
+
+    const filter = { user: req.user.id, book: req.params.bookId, lastReadAt: { $lt: readAt } };
+    const update = {
+      $set: {
+        chapter: chapterId || null,
+        position,
+        percent,
+        device: device.slice(0, 100),
+        lastReadAt: readAt,
+        finishedAt: percent >= 100 ? readAt : null
+      }
+    };
+
+    let progress;
+    try {
+      progress = await ReadingProgress.findOneAndUpdate(filter, update, {
+        new: true,
+        upsert: true,
+        runValidators: true
+      });
+    } catch (error) {
+      // The upsert tried to insert because the saved progress is at least as
+      // new (or another device created it first); only the latter can win
+      if (error.code !== 11000) {
+        throw error;
+      }
+      progress = await ReadingProgress.findOneAndUpdate(filter, update, {
+        new: true,
+        runValidators: true
+      });
+    }
+
+    if (!progress) {
+      const current = await ReadingProgress.findOne({ user: req.user.id, book: req.params.bookId });
+      return res.status(409).json({
+        message: 'A newer position was already saved from another device',
+        progress: current
+      });
+    }
+
+    res.status(200).json(progress);
+  } catch (error) {
+    res.status(400).json({ message: 'Error saving reading progress', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reading-progress/{bookId}:
+ *   delete:
+ *     summary: Forget the user's progress in a book
+ *     description: Also removes the book from the continue reading shelf.
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Progress removed
+ *       404:
+ *         description: The user hasn't started the book
+ */
+router.delete('/:bookId', async (req, res) => {
+  try {
+    const progress = await ReadingProgress.findOneAndDelete({ user: req.user.id, book: req.params.bookId });
+
+    if (!progress) {
+      return res.status(404).json({ message: 'No reading progress for this book' });
+    }
+
+    res.status(200).json({ message: 'Reading progress removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing reading progress', error: error.message });
+  }
+});
+
+module.exports = router;
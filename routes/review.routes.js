@@ -1,14 +1,55 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
 const Review = require('../models/review.model');
+const ReviewReport = require('../models/reviewReport.model');
+const ReviewVote = require('../models/reviewVote.model');
+const User = require('../models/user.model');
 const authMiddleware = require('../middleware/auth.middleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuth.middleware');
+const verifiedMiddleware = require('../middleware/verified.middleware');
+const { applyRatingChange } = require('../utils/ratings');
+const {
+  moderationConfig,
+  isPublished,
+  checkReviewContent,
+  initialStatus,
+  changeReviewStatus,
+  deleteReview,
+} = require('../utils/moderation');
+const { hasDeliveredOrder } = require('../utils/library');
+const { requiresPurchaseToReview, castVote, withdrawVote } = require('../utils/reviews');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Sort orders for listing reviews; _id breaks ties in the same direction
+const REVIEW_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  helpful: { field: 'helpfulCount', direction: -1 },
+  highest: { field: 'rating', direction: -1 },
+  lowest: { field: 'rating', direction: 1 },
+};
+
 /**
  * @swagger
  * /api/reviews:
  *   get:
- *     summary: Get all reviews
+ *     summary: Get published reviews, one page at a time
+ *     description: >
+ *       Pass `pageInfo.nextCursor` back as `cursor` to get the next page with
+ *       the same filters and sort. When listing a book's reviews while signed
+ *       in, the user's own review (even one awaiting moderation) is pinned at
+ *       the top of the first page with `pinned: true`, and every review
+ *       carries the user's vote as `myVote`.
  *     tags: [Reviews]
  *     parameters:
  *       - in: query
@@ -16,24 +57,120 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Book ID to filter reviews by
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *         description: true for only verified-purchase reviews, false for only the others
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, helpful, highest, lowest]
+ *           default: newest
+ *         description: Newest first, most helpful first, or by rating
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of reviews
+ *         description: A page of reviews and the cursor for the next one
+ *       400:
+ *         description: Invalid filter, sort, limit or cursor
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { book } = req.query;
-    let query = {};
+    const { book, verified } = req.query;
+    let query = { ...Review.PUBLISHED_FILTER };
     
     if (book) {
+      if (!mongoose.Types.ObjectId.isValid(book)) {
+        return res.status(400).json({ message: 'Invalid book ID' });
+      }
       query.book = book;
     }
+    if (verified !== undefined) {
+      if (!['true', 'false'].includes(verified)) {
+        return res.status(400).json({ message: 'verified must be true or false' });
+      }
+      query.verifiedPurchase = verified === 'true' ? true : { $ne: true };
+    }
+    
+    const sortKey = req.query.sort || 'newest';
+    if (!REVIEW_SORTS[sortKey]) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+    const { field, direction } = REVIEW_SORTS[sortKey];
+    
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+    
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, `reviews:${sortKey}`);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+    
+    // The user's own review is pinned instead of appearing in its place
+    const pinOwnReview = Boolean(book && req.user);
+    if (pinOwnReview) {
+      query.user = { $ne: req.user.id };
+    }
     
-    const reviews = await Review.find(query)
+    const filter = cursor ? { $and: [query, buildCursorFilter(field, direction, cursor)] } : query;
+    const reviews = await Review.find(filter)
+      .sort({ [field]: direction, _id: direction })
+      // Fetch one extra review to know whether there is another page
+      .limit(limit + 1)
       .populate('user', 'username')
       .populate('book', 'title');
-      
-    res.status(200).json(reviews);
+    
+    const hasMore = reviews.length > limit;
+    const page = reviews.slice(0, limit).map(review => review.toJSON());
+    const last = page[page.length - 1];
+    
+    if (pinOwnReview && !cursor) {
+      const ownReview = await Review.findOne({
+        book,
+        user: req.user.id,
+        ...(query.verifiedPurchase !== undefined && { verifiedPurchase: query.verifiedPurchase }),
+      })
+        .populate('user', 'username')
+        .populate('book', 'title');
+      if (ownReview) {
+        page.unshift({ ...ownReview.toJSON(), pinned: true });
+      }
+    }
+    
+    if (req.user) {
+      const votes = await ReviewVote.find({ user: req.user.id, review: { $in: page.map(review => review._id) } });
+      const votesByReview = new Map(votes.map(vote => [vote.review.toString(), vote.helpful]));
+      page.forEach(review => {
+        const vote = votesByReview.get(review._id.toString());
+        review.myVote = vote === undefined ? null : vote;
+      });
+    }
+    
+    res.status(200).json({
+      reviews: page,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(`reviews:${sortKey}`, last[field], last._id) : null,
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -44,6 +181,7 @@ router.get('/', async (req, res) => {
  * /api/reviews/{id}:
  *   get:
  *     summary: Get a review by ID
+ *     description: Reviews that aren't published are only shown to their author and admins.
  *     tags: [Reviews]
  *     parameters:
  *       - in: path
@@ -57,13 +195,14 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Review not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthMiddleware, async (req, res) => {
   try {
     const review = await Review.findById(req.params.id)
       .populate('user', 'username')
       .populate('book', 'title');
     
-    if (!review) {
+    const canSeeUnpublished = req.user && review && (req.user.isAdmin || (review.user && review.user._id.toString() === req.user.id));
+    if (!review || (!isPublished(review) && !canSeeUnpublished)) {
       return res.status(404).json({ message: 'Review not found' });
     }
     
@@ -78,6 +217,12 @@ router.get('/:id', async (req, res) => {
  * /api/reviews:
  *   post:
  *     summary: Create a new review
+ *     description: >
+ *       The review is marked as a verified purchase when the user has a
+ *       delivered order containing the book. Books in a category that
+ *       requires a purchase can only be reviewed by such users. Reviews that
+ *       match a moderation rule (banned words, links) are flagged and may be
+ *       held with status `pending` until a moderator approves them.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -92,18 +237,46 @@ router.get('/:id', async (req, res) => {
  *         description: Review created successfully
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Email address not verified, or the book's category requires a purchase
+ *       404:
+ *         description: Book not found
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, verifiedMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { book, rating, comment } = req.body;
-    const newReview = new Review({
-      book,
-      user: req.user.id,
-      rating,
-      comment,
-    });
+    const flags = checkReviewContent(comment);
+    
+    const reviewedBook = mongoose.Types.ObjectId.isValid(book)
+      ? await Book.findById(book).select('categories')
+      : null;
+    if (!reviewedBook) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
     
-    const savedReview = await newReview.save();
+    const verifiedPurchase = await hasDeliveredOrder(req.user.id, reviewedBook._id);
+    if (!verifiedPurchase && (await requiresPurchaseToReview(reviewedBook))) {
+      return res.status(403).json({ message: 'Only readers who bought this book can review it' });
+    }
+    
+    // The book's rating aggregates are updated in the same transaction
+    let savedReview;
+    await session.withTransaction(async () => {
+      [savedReview] = await Review.create([{
+        book: reviewedBook._id,
+        user: req.user.id,
+        rating,
+        comment,
+        verifiedPurchase,
+        status: initialStatus(flags),
+        flags,
+      }], { session });
+      if (isPublished(savedReview)) {
+        await applyRatingChange(savedReview.book, { to: savedReview.rating }, { session });
+      }
+    });
     
     const populatedReview = await Review.findById(savedReview._id)
       .populate('user', 'username')
@@ -112,6 +285,8 @@ router.post('/', authMiddleware, async (req, res) => {
     res.status(201).json(populatedReview);
   } catch (error) {
     res.status(400).json({ message: 'Error creating review', error: error.message });
+  } finally {
+    await session.endSession();
   }
 });
 
@@ -148,7 +323,9 @@ router.post('/', authMiddleware, async (req, res) => {
  *       404:
  *         description: Review not found
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, verifiedMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const review = await Review.findById(req.params.id);
     
@@ -159,18 +336,44 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this review' });
     }
     const { rating, comment } = req.body;
-    review.rating = rating || review.rating;
-    review.comment = comment || review.comment;
+    const update = {};
+    if (rating) {
+      update.rating = Number(rating);
+    }
+    if (comment) {
+      update.comment = comment;
+      update.flags = checkReviewContent(comment);
+    }
     
-    const updatedReview = await review.save();
+    // Adjust the book's aggregates by the difference from the rating as it
+    // was when this update applied, not when it was read above
+    await session.withTransaction(async () => {
+      const previous = await Review.findOneAndUpdate(
+        { _id: review._id },
+        { $set: update },
+        { session, runValidators: true }
+      );
+      if (!previous || !isPublished(previous)) {
+        return;
+      }
+      if (update.rating !== undefined && update.rating !== previous.rating) {
+        await applyRatingChange(previous.book, { from: previous.rating, to: update.rating }, { session });
+      }
+      // A published review edited to break the rules goes back to the queue
+      if (update.flags && initialStatus(update.flags) === 'pending') {
+        await changeReviewStatus(previous._id, 'pending', {}, { session });
+      }
+    });
     
-    const populatedReview = await Review.findById(updatedReview._id)
+    const populatedReview = await Review.findById(review._id)
       .populate('user', 'username')
       .populate('book', 'title');
       
     res.status(200).json(populatedReview);
   } catch (error) {
     res.status(400).json({ message: 'Error updating review', error: error.message });
+  } finally {
+    await session.endSession();
   }
 });
 
@@ -179,6 +382,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
  * /api/reviews/{id}:
  *   delete:
  *     summary: Delete a review
+ *     description: Authors can delete their own reviews and admins any review.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -197,6 +401,8 @@ router.put('/:id', authMiddleware, async (req, res) => {
  *         description: Review not found
  */
 router.delete('/:id', authMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // Find review first to check ownership
     const review = await Review.findById(req.params.id);
@@ -205,16 +411,253 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Review not found' });
     }
     
-    // Check if user owns the review
+    // Check if user owns the review; admins can remove anyone's, checked
+    // against the database since the token's claim may be out of date
     if (review.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this review' });
+      const user = await User.findById(req.user.id).select('isAdmin');
+      if (!user || !user.isAdmin) {
+        return res.status(403).json({ message: 'Not authorized to delete this review' });
+      }
     }
     
-    await Review.findByIdAndDelete(req.params.id);
+    await session.withTransaction(async () => {
+      await deleteReview(review._id, req.user.id, { session });
+    });
     
     res.status(200).json({ message: 'Review deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting review', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/vote:
+ *   put:
+ *     summary: Mark a review helpful or unhelpful
+ *     description: Each user has one vote per review; voting again replaces it.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - helpful
+ *             properties:
+ *               helpful:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Vote recorded; returns the review's updated counts
+ *       400:
+ *         description: Invalid vote or own review
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id/vote', authMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { helpful } = req.body;
+    
+    if (typeof helpful !== 'boolean') {
+      return res.status(400).json({ message: 'helpful must be true or false' });
+    }
+    
+    const review = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Review.findById(req.params.id)
+      : null;
+    if (!review || !isPublished(review)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+    
+    const vote = () => session.withTransaction(async () => {
+      await castVote(review._id, req.user.id, helpful, { session });
+    });
+    try {
+      await vote();
+    } catch (error) {
+      // Two votes from the same user at once can both try to insert; the
+      // one that lost retries and updates the vote the other created
+      if (error.code !== 11000) {
+        throw error;
+      }
+      await vote();
+    }
+    
+    const updatedReview = await Review.findById(review._id).select('helpfulCount unhelpfulCount');
+    
+    res.status(200).json({
+      helpfulCount: updatedReview.helpfulCount,
+      unhelpfulCount: updatedReview.unhelpfulCount,
+      myVote: helpful
+    });
+  } catch (error) {
+    res.status(400).json({ message: 'Error recording vote', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/vote:
+ *   delete:
+ *     summary: Take back a helpful or unhelpful vote
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote removed; returns the review's updated counts
+ *       404:
+ *         description: Review not found or not voted on
+ */
+router.delete('/:id/vote', authMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    let withdrawn;
+    await session.withTransaction(async () => {
+      withdrawn = await withdrawVote(req.params.id, req.user.id, { session });
+    });
+    
+    if (!withdrawn) {
+      return res.status(404).json({ message: 'You have not voted on this review' });
+    }
+    
+    const updatedReview = await Review.findById(req.params.id).select('helpfulCount unhelpfulCount');
+    
+    res.status(200).json({
+      helpfulCount: updatedReview ? updatedReview.helpfulCount : 0,
+      unhelpfulCount: updatedReview ? updatedReview.unhelpfulCount : 0,
+      myVote: null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing vote', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/report:
+ *   post:
+ *     summary: Report a review to the moderators
+ *     description: >
+ *       Each user can report a review once. A review with enough open
+ *       reports is unpublished until a moderator looks at it.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, spoilers, off_topic, other]
+ *               details:
+ *                 type: string
+ *                 description: Required when the reason is other
+ *     responses:
+ *       201:
+ *         description: Report received
+ *       400:
+ *         description: Invalid reason, own review or already reported
+ *       404:
+ *         description: Review not found
+ */
+router.post('/:id/report', authMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { reason, details = '' } = req.body;
+    
+    if (!ReviewReport.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Reason must be one of: ${ReviewReport.REPORT_REASONS.join(', ')}` });
+    }
+    if (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH) {
+      return res.status(400).json({ message: `Details can be at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+    if (reason === 'other' && details.trim() === '') {
+      return res.status(400).json({ message: 'Please describe the problem' });
+    }
+    
+    const review = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Review.findById(req.params.id)
+      : null;
+    if (!review || !isPublished(review)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+    
+    let report;
+    await session.withTransaction(async () => {
+      [report] = await ReviewReport.create([{
+        review: review._id,
+        user: req.user.id,
+        reason,
+        details,
+      }], { session });
+      
+      const reported = await Review.findOneAndUpdate(
+        { _id: review._id },
+        { $inc: { openReportCount: 1 } },
+        { new: true, session }
+      );
+      if (reported && isPublished(reported) && reported.openReportCount >= moderationConfig.reportsToUnpublish) {
+        await changeReviewStatus(reported._id, 'pending', {}, { session });
+      }
+    });
+    
+    res.status(201).json({ message: 'Thanks, a moderator will look at this review', report });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reported this review' });
+    }
+    res.status(400).json({ message: 'Error reporting review', error: error.message });
+  } finally {
+    await session.endSession();
   }
 });
 
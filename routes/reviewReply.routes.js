@@ -0,0 +1,446 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const ReviewReply = require('../models/reviewReply.model');
+const User = require('../models/user.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const verifiedMiddleware = require('../middleware/verified.middleware');
+const { isPublished } = require('../utils/moderation');
+const { softDeleteReply } = require('../utils/reviews');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
+
+// Mounted at /api/reviews/:id/replies
+const router = express.Router({ mergeParams: true });
+
+// Replies can answer replies down to this many levels below the review
+const MAX_REPLY_DEPTH = 3;
+const MAX_REPLY_LENGTH = 2000;
+const THREAD_CURSOR_KEY = 'createdAt:asc';
+
+// Every route is about one published review's thread; load it once
+router.use(async (req, res, next) => {
+  try {
+    const review = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Review.findById(req.params.id).select('status')
+      : null;
+
+    if (!review || !isPublished(review)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    req.review = review;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.param('replyId', (req, res, next, replyId) => {
+  if (!mongoose.Types.ObjectId.isValid(replyId)) {
+    return res.status(404).json({ message: 'Reply not found' });
+  }
+  next();
+});
+
+const validateBody = (body) =>
+  typeof body !== 'string' || body.trim() === '' || body.length > MAX_REPLY_LENGTH
+    ? `Reply must be 1-${MAX_REPLY_LENGTH} characters`
+    : null;
+
+// Public view of a reply; deleted ones keep only their place in the thread
+const toThreadEntry = (reply) => ({
+  _id: reply._id,
+  parent: reply.parent,
+  depth: reply.depth,
+  user: reply.deletedAt ? null : reply.user,
+  body: reply.deletedAt ? null : reply.body,
+  fromStaff: reply.fromStaff,
+  edited: reply.editHistory.length > 0,
+  deleted: Boolean(reply.deletedAt),
+  createdAt: reply.createdAt,
+  updatedAt: reply.updatedAt,
+  replies: [],
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/replies:
+ *   get:
+ *     summary: Get the discussion under a review
+ *     description: >
+ *       Replies are nested under the reply they answer, oldest first.
+ *       Deleted replies are kept, with `deleted: true` and no author or text,
+ *       when other replies answer them. Pages are of replies to the review
+ *       itself, each with every answer below it, using cursor pagination.
+ *     tags: [Review Replies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: A page of the thread as a tree of replies, with pageInfo
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: Review not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ message: `Limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const filter = { review: req.review._id, parent: null };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, THREAD_CURSOR_KEY);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(filter, buildCursorFilter('createdAt', 1, cursor));
+    }
+
+    const topLevel = await ReviewReply.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate('user', 'username');
+
+    const hasMore = topLevel.length > limit;
+    const page = topLevel.slice(0, limit);
+    const last = page[page.length - 1];
+
+    // Load the answers below the page one level at a time, so a parent is
+    // always seen before its answers
+    const replies = [...page];
+    let level = page;
+    while (level.length > 0) {
+      level = await ReviewReply.find({ review: req.review._id, parent: { $in: level.map(reply => reply._id) } })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('user', 'username');
+      replies.push(...level);
+    }
+
+    const entries = new Map();
+    const thread = [];
+    replies.forEach(reply => {
+      const entry = toThreadEntry(reply);
+      entries.set(reply._id.toString(), entry);
+      const parent = reply.parent && entries.get(reply.parent.toString());
+      if (parent) {
+        parent.replies.push(entry);
+      } else if (!reply.parent) {
+        thread.push(entry);
+      }
+    });
+
+    // Drop deleted replies that nothing answers any more
+    const prune = (list) => list.filter(entry => {
+      entry.replies = prune(entry.replies);
+      return !entry.deleted || entry.replies.length > 0;
+    });
+
+    res.status(200).json({
+      replies: prune(thread),
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(THREAD_CURSOR_KEY, last.createdAt, last._id) : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving replies', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/replies:
+ *   post:
+ *     summary: Reply to a review or to another reply
+ *     description: >
+ *       Replies nest at most three levels deep. Replies from admins are
+ *       marked `fromStaff`.
+ *     tags: [Review Replies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 description: Reply being answered; omit to reply to the review
+ *     responses:
+ *       201:
+ *         description: Reply posted
+ *       400:
+ *         description: Invalid body, or the parent is deleted or too deep
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Review or parent reply not found
+ */
+router.post('/', authMiddleware, verifiedMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { body, parentId } = req.body;
+
+    const error = validateBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      parent = mongoose.Types.ObjectId.isValid(parentId)
+        ? await ReviewReply.findOne({ _id: parentId, review: req.review._id })
+        : null;
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent reply not found' });
+      }
+      if (parent.deletedAt) {
+        return res.status(400).json({ message: 'Cannot reply to a deleted reply' });
+      }
+      if (parent.depth + 1 >= MAX_REPLY_DEPTH) {
+        return res.status(400).json({ message: `Replies can only nest ${MAX_REPLY_DEPTH} levels deep` });
+      }
+    }
+
+    const author = await User.findById(req.user.id).select('isAdmin');
+
+    let reply;
+    await session.withTransaction(async () => {
+      [reply] = await ReviewReply.create([{
+        review: req.review._id,
+        user: req.user.id,
+        parent: parent ? parent._id : null,
+        depth: parent ? parent.depth + 1 : 0,
+        body,
+        fromStaff: Boolean(author && author.isAdmin),
+      }], { session });
+      await Review.updateOne({ _id: req.review._id }, { $inc: { replyCount: 1 } }, { session });
+    });
+
+    await reply.populate('user', 'username');
+
+    res.status(201).json(toThreadEntry(reply));
+  } catch (error) {
+    res.status(400).json({ message: 'Error posting reply', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/replies/{replyId}:
+ *   put:
+ *     summary: Edit a reply
+ *     description: The previous text is kept in the reply's edit history.
+ *     tags: [Review Replies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply updated
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Not the author of the reply, or email address not verified
+ *       404:
+ *         description: Review or reply not found
+ */
+router.put('/:replyId', authMiddleware, verifiedMiddleware, async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const error = validateBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const reply = await ReviewReply.findOne({ _id: req.params.replyId, review: req.review._id, deletedAt: null });
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    if (reply.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to edit this reply' });
+    }
+
+    if (body.trim() !== reply.body) {
+      reply.editHistory.push({ body: reply.body, editedAt: new Date() });
+      reply.body = body;
+    }
+    // Saving is version-checked, so a concurrent edit can't drop a history entry
+    reply.increment();
+    const updatedReply = await reply.save();
+
+    await updatedReply.populate('user', 'username');
+
+    res.status(200).json(toThreadEntry(updatedReply));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating reply', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/replies/{replyId}/history:
+ *   get:
+ *     summary: Get a reply's earlier versions
+ *     tags: [Review Replies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The current text and earlier versions, oldest first
+ *       404:
+ *         description: Review or reply not found
+ */
+router.get('/:replyId/history', async (req, res) => {
+  try {
+    const reply = await ReviewReply.findOne({ _id: req.params.replyId, review: req.review._id, deletedAt: null });
+
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    res.status(200).json({
+      body: reply.body,
+      updatedAt: reply.updatedAt,
+      editHistory: reply.editHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving edit history', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/replies/{replyId}:
+ *   delete:
+ *     summary: Delete a reply
+ *     description: >
+ *       Authors can delete their own replies and admins any reply. The reply
+ *       keeps its place in the thread, without author or text.
+ *     tags: [Review Replies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reply deleted
+ *       403:
+ *         description: Not authorized to delete this reply
+ *       404:
+ *         description: Review or reply not found
+ */
+router.delete('/:replyId', authMiddleware, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const reply = await ReviewReply.findOne({ _id: req.params.replyId, review: req.review._id, deletedAt: null });
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    // Admins can remove anyone's reply, checked against the database since
+    // the token's claim may be out of date
+    let deletedBy = null;
+    if (reply.user.toString() !== req.user.id) {
+      const user = await User.findById(req.user.id).select('isAdmin');
+      if (!user || !user.isAdmin) {
+        return res.status(403).json({ message: 'Not authorized to delete this reply' });
+      }
+      deletedBy = user._id;
+    }
+
+    await session.withTransaction(async () => {
+      await softDeleteReply(reply._id, deletedBy, { session });
+    });
+
+    res.status(200).json({ message: 'Reply deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting reply', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,35 @@
 const express = require('express');
-const SavedBook = require('../models/savedBook.model');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Shelf = require('../models/shelf.model');
 const authMiddleware = require('../middleware/auth.middleware');
+const { ensureDefaultShelves } = require('../utils/shelves');
 
 const router = express.Router();
 
+// The saved-books list is now the user's Want to read shelf. These routes
+// keep the old response shape for clients that haven't moved to shelves.
+const toSavedBook = (userId, entry) => ({
+  _id: entry._id,
+  user: userId,
+  book: entry.book,
+  createdAt: entry.addedAt,
+});
+
+const populateBooks = (shelf) =>
+  shelf.populate({
+    path: 'entries.book',
+    populate: {
+      path: 'categories',
+    },
+  });
+
 /**
  * @swagger
  * /api/saved-books:
  *   get:
  *     summary: Get all saved books for the current user
+ *     description: The books on the user's Want to read shelf; see /api/shelves.
  *     tags: [Saved Books]
  *     security:
  *       - bearerAuth: []
@@ -18,13 +39,12 @@ const router = express.Router();
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const savedBooks = await SavedBook.find({ user: req.user.id })
-      .populate({
-        path: 'book',
-        populate: {
-          path: 'categories',
-        },
-      });
+    const shelf = await ensureDefaultShelves(req.user.id);
+    await populateBooks(shelf);
+
+    const savedBooks = shelf.entries
+      .filter(entry => entry.book)
+      .map(entry => toSavedBook(req.user.id, entry));
       
     res.status(200).json(savedBooks);
   } catch (error) {
@@ -56,35 +76,30 @@ router.get('/', authMiddleware, async (req, res) => {
  *       201:
  *         description: Book saved successfully
  *       400:
- *         description: Book already saved or invalid input
+ *         description: Book already saved or not found
  */
 router.post('/', authMiddleware, async (req, res) => {
   try {
     const { book } = req.body;
-    const existingSavedBook = await SavedBook.findOne({
-      user: req.user.id,
-      book,
-    });
+
+    if (!mongoose.Types.ObjectId.isValid(book) || !(await Book.exists({ _id: book }))) {
+      return res.status(400).json({ message: 'Book not found' });
+    }
+
+    const shelf = await ensureDefaultShelves(req.user.id);
+    const result = await Shelf.updateOne(
+      { _id: shelf._id, 'entries.book': { $ne: book } },
+      { $push: { entries: { book } } }
+    );
     
-    if (existingSavedBook) {
+    if (result.modifiedCount === 0) {
       return res.status(400).json({ message: 'Book already saved' });
     }
-    const newSavedBook = new SavedBook({
-      user: req.user.id,
-      book,
-    });
-    
-    const savedBook = await newSavedBook.save();
     
-    const populatedSavedBook = await SavedBook.findById(savedBook._id)
-      .populate({
-        path: 'book',
-        populate: {
-          path: 'categories',
-        },
-      });
+    const updatedShelf = await populateBooks(await Shelf.findById(shelf._id));
+    const entry = updatedShelf.entries.find(existing => existing.book && existing.book._id.toString() === String(book));
       
-    res.status(201).json(populatedSavedBook);
+    res.status(201).json(toSavedBook(req.user.id, entry));
   } catch (error) {
     res.status(400).json({ message: 'Error saving book', error: error.message });
   }
@@ -108,27 +123,25 @@ router.post('/', authMiddleware, async (req, res) => {
  *     responses:
  *       200:
  *         description: Book removed from saved list successfully
- *       403:
- *         description: Not authorized to remove this saved book
  *       404:
  *         description: Saved book not found
  */
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
-    // Find the saved book first to check ownership
-    const savedBook = await SavedBook.findById(req.params.id);
-    
-    if (!savedBook) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Saved book not found' });
     }
+
+    const shelf = await ensureDefaultShelves(req.user.id);
+    const result = await Shelf.updateOne(
+      { _id: shelf._id },
+      { $pull: { entries: { _id: req.params.id } } }
+    );
     
-    // Check if user owns the saved book
-    if (savedBook.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to remove this saved book' });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Saved book not found' });
     }
     
-    await SavedBook.findByIdAndDelete(req.params.id);
-    
     res.status(200).json({ message: 'Book removed from saved list successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error removing saved book', error: error.message });
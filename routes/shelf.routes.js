@@ -0,0 +1,855 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Shelf = require('../models/shelf.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const { ensureDefaultShelves } = require('../utils/shelves');
+
+const router = express.Router();
+
+const MAX_SHELVES = 50;
+const MAX_SHELF_ENTRIES = 1000;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTE_LENGTH = 1000;
+const VISIBILITIES = ['private', 'public'];
+const BOOK_FIELDS = 'title author coverImage price';
+
+const shareUrl = (shelf) =>
+  `${process.env.APP_URL || 'http://localhost:3000'}/shelves/shared/${shelf.shareToken}`;
+
+// The owner's view of a shelf: entry count instead of entries, plus the share link
+const summarizeShelf = (shelf) => {
+  const { entries, ...rest } = shelf.toObject();
+  return { ...rest, bookCount: entries.length, shareUrl: shareUrl(shelf) };
+};
+
+// Validate shelf fields from a request body; returns an error message or null
+const validateShelf = ({ name, description, visibility }, { partial = false } = {}) => {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+      return `Name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Description can be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+  }
+  return null;
+};
+
+const validateNote = (note) =>
+  note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)
+    ? `Note can be at most ${MAX_NOTE_LENGTH} characters`
+    : null;
+
+// Whether the user already has another shelf with this name, ignoring case
+const nameTaken = (userId, name, exceptId) =>
+  Shelf.exists({ user: userId, name: name.trim(), ...(exceptId && { _id: { $ne: exceptId } }) })
+    .collation({ locale: 'en', strength: 2 });
+
+/**
+ * @swagger
+ * /api/shelves/shared/{token}:
+ *   get:
+ *     summary: View a shelf someone shared
+ *     description: Works without signing in, for public shelves only.
+ *     tags: [Shelves]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shelf with its books and the owner's username
+ *       404:
+ *         description: No public shelf with this link
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const shelf = await Shelf.findOne({ shareToken: req.params.token, visibility: 'public' })
+      .populate('user', 'username')
+      .populate('entries.book', BOOK_FIELDS);
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    res.status(200).json({
+      name: shelf.name,
+      description: shelf.description,
+      owner: shelf.user ? shelf.user.username : null,
+      entries: shelf.entries.filter(entry => entry.book),
+      updatedAt: shelf.updatedAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving shelf', error: error.message });
+  }
+});
+
+// Everything else is about the signed-in user's own shelves
+router.use(authMiddleware);
+
+router.param('shelfId', async (req, res, next, shelfId) => {
+  try {
+    const shelf = mongoose.Types.ObjectId.isValid(shelfId)
+      ? await Shelf.findOne({ _id: shelfId, user: req.user.id })
+      : null;
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    req.shelf = shelf;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.param('bookId', (req, res, next, bookId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookId)) {
+    return res.status(404).json({ message: 'Book not found on this shelf' });
+  }
+  next();
+});
+
+/**
+ * @swagger
+ * /api/shelves:
+ *   get:
+ *     summary: Get the current user's shelves
+ *     description: >
+ *       Every user has Want to read, Reading and Finished shelves, created on
+ *       first use; books saved before shelves existed are moved onto Want to
+ *       read.
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shelves in the user's order, with book counts instead of entries
+ */
+router.get('/', async (req, res) => {
+  try {
+    await ensureDefaultShelves(req.user.id);
+
+    const shelves = await Shelf.find({ user: req.user.id }).sort({ position: 1, createdAt: 1 });
+
+    res.status(200).json(shelves.map(summarizeShelf));
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving shelves', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves:
+ *   post:
+ *     summary: Create a shelf
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, public]
+ *     responses:
+ *       201:
+ *         description: Shelf created at the end of the user's list
+ *       400:
+ *         description: Invalid input, duplicate name or too many shelves
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+
+    const error = validateShelf({ name, description, visibility });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await ensureDefaultShelves(req.user.id);
+
+    const shelves = await Shelf.find({ user: req.user.id }).select('position');
+    if (shelves.length >= MAX_SHELVES) {
+      return res.status(400).json({ message: `You can have at most ${MAX_SHELVES} shelves` });
+    }
+    if (await nameTaken(req.user.id, name)) {
+      return res.status(400).json({ message: 'You already have a shelf with this name' });
+    }
+
+    const shelf = await Shelf.create({
+      user: req.user.id,
+      name,
+      description,
+      visibility,
+      position: Math.max(...shelves.map(existing => existing.position)) + 1
+    });
+
+    res.status(201).json(summarizeShelf(shelf));
+  } catch (error) {
+    res.status(400).json({ message: 'Error creating shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/order:
+ *   put:
+ *     summary: Reorder the current user's shelves
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shelfIds
+ *             properties:
+ *               shelfIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every shelf ID of the user, in the new order
+ *     responses:
+ *       200:
+ *         description: Shelves in the new order
+ *       400:
+ *         description: The IDs aren't exactly the user's shelves
+ */
+router.put('/order', async (req, res) => {
+  try {
+    const { shelfIds } = req.body;
+
+    if (!Array.isArray(shelfIds)) {
+      return res.status(400).json({ message: 'shelfIds must be an array' });
+    }
+
+    const shelves = await Shelf.find({ user: req.user.id }).select('_id');
+    const existingIds = new Set(shelves.map(shelf => shelf._id.toString()));
+    const requestedIds = new Set(shelfIds.map(String));
+
+    if (
+      shelfIds.length !== existingIds.size ||
+      requestedIds.size !== existingIds.size ||
+      [...requestedIds].some(id => !existingIds.has(id))
+    ) {
+      return res.status(400).json({ message: 'shelfIds must list every shelf exactly once' });
+    }
+
+    if (shelfIds.length > 0) {
+      await Shelf.bulkWrite(
+        shelfIds.map((id, index) => ({
+          updateOne: {
+            filter: { _id: id, user: req.user.id },
+            update: { position: index },
+          },
+        }))
+      );
+    }
+
+    const reordered = await Shelf.find({ user: req.user.id }).sort({ position: 1 });
+
+    res.status(200).json(reordered.map(summarizeShelf));
+  } catch (error) {
+    res.status(400).json({ message: 'Error reordering shelves', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}:
+ *   get:
+ *     summary: Get one of the current user's shelves with its books
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The shelf with its entries in order
+ *       404:
+ *         description: Shelf not found
+ */
+router.get('/:shelfId', async (req, res) => {
+  try {
+    await req.shelf.populate('entries.book', BOOK_FIELDS);
+
+    res.status(200).json({
+      ...req.shelf.toObject(),
+      entries: req.shelf.entries.filter(entry => entry.book),
+      shareUrl: shareUrl(req.shelf)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}:
+ *   put:
+ *     summary: Rename a shelf or change its description or visibility
+ *     description: The built-in shelves can't be renamed.
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, public]
+ *     responses:
+ *       200:
+ *         description: Shelf updated
+ *       400:
+ *         description: Invalid input or duplicate name
+ *       404:
+ *         description: Shelf not found
+ */
+router.put('/:shelfId', async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+    const { shelf } = req;
+
+    const error = validateShelf({ name, description, visibility }, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (name !== undefined && name.trim() !== shelf.name) {
+      if (shelf.kind) {
+        return res.status(400).json({ message: 'Built-in shelves cannot be renamed' });
+      }
+      if (await nameTaken(req.user.id, name, shelf._id)) {
+        return res.status(400).json({ message: 'You already have a shelf with this name' });
+      }
+      shelf.name = name;
+    }
+    if (description !== undefined) {
+      shelf.description = description;
+    }
+    if (visibility !== undefined) {
+      shelf.visibility = visibility;
+    }
+    const updatedShelf = await shelf.save();
+
+    res.status(200).json(summarizeShelf(updatedShelf));
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}:
+ *   delete:
+ *     summary: Delete a shelf the user created
+ *     description: The built-in shelves can't be deleted.
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shelf deleted
+ *       400:
+ *         description: Shelf is built in
+ *       404:
+ *         description: Shelf not found
+ */
+router.delete('/:shelfId', async (req, res) => {
+  try {
+    if (req.shelf.kind) {
+      return res.status(400).json({ message: 'Built-in shelves cannot be deleted' });
+    }
+
+    await Shelf.deleteOne({ _id: req.shelf._id });
+
+    res.status(200).json({ message: 'Shelf deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/share-link:
+ *   post:
+ *     summary: Replace a shelf's share link
+ *     description: The old link stops working.
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new share link
+ *       404:
+ *         description: Shelf not found
+ */
+router.post('/:shelfId/share-link', async (req, res) => {
+  try {
+    req.shelf.rotateShareToken();
+    await req.shelf.save();
+
+    res.status(200).json({ shareUrl: shareUrl(req.shelf), visibility: req.shelf.visibility });
+  } catch (error) {
+    res.status(500).json({ message: 'Error replacing share link', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/books:
+ *   post:
+ *     summary: Add a book to a shelf
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 description: Index to insert at, starting at 0; defaults to the end
+ *     responses:
+ *       201:
+ *         description: Book added
+ *       400:
+ *         description: Invalid input, book already on the shelf or shelf full
+ *       404:
+ *         description: Shelf or book not found
+ */
+router.post('/:shelfId/books', async (req, res) => {
+  try {
+    const { bookId, note, position } = req.body;
+
+    const error = validateNote(note);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ message: 'Position must be a non-negative integer' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(bookId) || !(await Book.exists({ _id: bookId }))) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    // Conditional push so concurrent adds can't duplicate the book or
+    // overfill the shelf
+    const result = await Shelf.updateOne(
+      {
+        _id: req.shelf._id,
+        'entries.book': { $ne: bookId },
+        [`entries.${MAX_SHELF_ENTRIES - 1}`]: { $exists: false },
+      },
+      {
+        $push: {
+          entries: {
+            $each: [{ book: bookId, note }],
+            ...(position !== undefined && { $position: position }),
+          },
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      const full = req.shelf.entries.length >= MAX_SHELF_ENTRIES;
+      return res.status(400).json({
+        message: full ? `A shelf can hold at most ${MAX_SHELF_ENTRIES} books` : 'Book is already on this shelf'
+      });
+    }
+
+    const shelf = await Shelf.findById(req.shelf._id).populate('entries.book', BOOK_FIELDS);
+    const entry = shelf.entries.find(existing => existing.book && existing.book._id.toString() === bookId);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(400).json({ message: 'Error adding book to shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/books/order:
+ *   put:
+ *     summary: Reorder the books on a shelf
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookIds
+ *             properties:
+ *               bookIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every book ID on the shelf, in the new order
+ *     responses:
+ *       200:
+ *         description: The shelf in the new order
+ *       400:
+ *         description: The IDs aren't exactly the books on the shelf
+ *       404:
+ *         description: Shelf not found
+ *       409:
+ *         description: Books were added to or removed from the shelf at the same time
+ */
+router.put('/:shelfId/books/order', async (req, res) => {
+  try {
+    const { bookIds } = req.body;
+    const { shelf } = req;
+
+    if (!Array.isArray(bookIds)) {
+      return res.status(400).json({ message: 'bookIds must be an array' });
+    }
+
+    const entriesByBook = new Map(shelf.entries.map(entry => [entry.book.toString(), entry]));
+    const requestedIds = new Set(bookIds.map(String));
+
+    if (
+      bookIds.length !== entriesByBook.size ||
+      requestedIds.size !== entriesByBook.size ||
+      [...requestedIds].some(id => !entriesByBook.has(id))
+    ) {
+      return res.status(400).json({ message: 'bookIds must list every book on the shelf exactly once' });
+    }
+
+    // Reorder the entries as stored, only while the shelf still holds exactly
+    // these books, so a book added or removed in the meantime fails this
+    // request instead of being lost, and concurrent note edits are kept.
+    // Pipeline updates aren't cast, so the IDs come from the stored entries.
+    const ids = bookIds.map(id => entriesByBook.get(String(id)).book);
+    const updatedShelf = await Shelf.findOneAndUpdate(
+      { _id: shelf._id, entries: { $size: ids.length }, 'entries.book': { $all: ids } },
+      [
+        {
+          $set: {
+            entries: {
+              $map: {
+                input: ids,
+                as: 'book',
+                in: {
+                  $arrayElemAt: [
+                    { $filter: { input: '$entries', as: 'entry', cond: { $eq: ['$$entry.book', '$$book'] } } },
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ],
+      { new: true }
+    );
+
+    if (!updatedShelf) {
+      return res.status(409).json({ message: 'The shelf was changed by another request. Please reload it and try again.' });
+    }
+
+    res.status(200).json(updatedShelf);
+  } catch (error) {
+    res.status(400).json({ message: 'Error reordering shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/books/{bookId}:
+ *   put:
+ *     summary: Change the note on a book on a shelf
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Note updated
+ *       400:
+ *         description: Note too long
+ *       404:
+ *         description: Shelf not found or book not on it
+ */
+router.put('/:shelfId/books/:bookId', async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const error = validateNote(note) || (note === undefined && 'Note is required');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const shelf = await Shelf.findOneAndUpdate(
+      { _id: req.shelf._id, 'entries.book': req.params.bookId },
+      { $set: { 'entries.$.note': note.trim() } },
+      { new: true }
+    );
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Book not found on this shelf' });
+    }
+
+    const entry = shelf.entries.find(existing => existing.book.toString() === req.params.bookId);
+
+    res.status(200).json(entry);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating note', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/books/{bookId}:
+ *   delete:
+ *     summary: Remove a book from a shelf
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Book removed
+ *       404:
+ *         description: Shelf not found or book not on it
+ */
+router.delete('/:shelfId/books/:bookId', async (req, res) => {
+  try {
+    const result = await Shelf.updateOne(
+      { _id: req.shelf._id },
+      { $pull: { entries: { book: req.params.bookId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Book not found on this shelf' });
+    }
+
+    res.status(200).json({ message: 'Book removed from shelf successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing book from shelf', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelves/{shelfId}/books/{bookId}/move:
+ *   post:
+ *     summary: Move a book to another of the user's shelves
+ *     description: The book keeps its note and the date it was added.
+ *     tags: [Shelves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shelfId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toShelfId
+ *             properties:
+ *               toShelfId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 description: Index on the target shelf, starting at 0; defaults to the end
+ *     responses:
+ *       200:
+ *         description: Book moved; returns the target shelf
+ *       400:
+ *         description: Invalid input, or the book is already on the target shelf or it is full
+ *       404:
+ *         description: Shelf not found or book not on it
+ */
+router.post('/:shelfId/books/:bookId/move', async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { toShelfId, position } = req.body;
+    const { shelf } = req;
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ message: 'Position must be a non-negative integer' });
+    }
+
+    const entry = shelf.entries.find(existing => existing.book.toString() === req.params.bookId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Book not found on this shelf' });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(toShelfId)
+      ? await Shelf.findOne({ _id: toShelfId, user: req.user.id }).select('_id')
+      : null;
+    if (!target) {
+      return res.status(404).json({ message: 'Target shelf not found' });
+    }
+    if (target._id.equals(shelf._id)) {
+      return res.status(400).json({ message: 'Book is already on this shelf' });
+    }
+
+    // Add and remove together, so the book is never on both shelves or neither
+    let moved;
+    await session.withTransaction(async () => {
+      const added = await Shelf.updateOne(
+        {
+          _id: target._id,
+          'entries.book': { $ne: entry.book },
+          [`entries.${MAX_SHELF_ENTRIES - 1}`]: { $exists: false },
+        },
+        {
+          $push: {
+            entries: {
+              $each: [entry.toObject()],
+              ...(position !== undefined && { $position: position }),
+            },
+          },
+        },
+        { session }
+      );
+      moved = added.modifiedCount === 1;
+      if (!moved) {
+        return;
+      }
+
+      await Shelf.updateOne(
+        { _id: shelf._id },
+        { $pull: { entries: { book: entry.book } } },
+        { session }
+      );
+    });
+
+    if (!moved) {
+      return res.status(400).json({ message: 'Book is already on the target shelf or the shelf is full' });
+    }
+
+    const targetShelf = await Shelf.findById(target._id).populate('entries.book', BOOK_FIELDS);
+
+    res.status(200).json(targetShelf);
+  } catch (error) {
+    res.status(400).json({ message: 'Error moving book', error: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
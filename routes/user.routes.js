@@ -0,0 +1,762 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/user.model');
+const authMiddleware = require('../middleware/auth.middleware');
+const { ADDRESS_FIELDS, pickAddress, validateAddress } = require('../utils/addresses');
+const { MIN_PASSWORD_LENGTH, countOpenOrders, deleteUserAccount } = require('../utils/accounts');
+const { revokeUserSessions, sendVerification } = require('../utils/tokens');
+const {
+  EXPORT_FORMATS,
+  exportPersonalData,
+  erasePersonalData,
+  recordDataRequest,
+} = require('../utils/personalData');
+
+const router = express.Router();
+
+// Apply middleware to all routes in this router
+router.use(authMiddleware);
+
+const MAX_ADDRESSES = 20;
+const MAX_AVATAR_URL_LENGTH = 2048;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Profile fields returned to the user themselves
+const PROFILE_FIELDS = 'username email isAdmin emailVerified emailVerifiedAt avatarUrl createdAt updatedAt';
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's profile, without the password or address book
+ *       404:
+ *         description: User not found
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(PROFILE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving profile', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   put:
+ *     summary: Update the current user's username or email
+ *     description: >
+ *       Changing the email address marks it unverified and sends a new
+ *       verification link to it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid input or username or email already taken
+ *       404:
+ *         description: User not found
+ */
+router.put('/me', async (req, res) => {
+  try {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : req.body.username;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+
+    if (username !== undefined && (typeof username !== 'string' || username === '')) {
+      return res.status(400).json({ message: 'Username cannot be empty' });
+    }
+    if (email !== undefined && (typeof email !== 'string' || !EMAIL_REGEX.test(email))) {
+      return res.status(400).json({ message: 'Invalid email address' });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const usernameChanged = username !== undefined && username !== user.username;
+    const emailChanged = email !== undefined && email !== user.email;
+
+    // Same uniqueness rule as registration
+    const taken = [
+      usernameChanged && { username },
+      emailChanged && { email },
+    ].filter(Boolean);
+    if (taken.length > 0) {
+      const existingUser = await User.findOne({ _id: { $ne: user._id }, $or: taken });
+      if (existingUser) {
+        return res.status(400).json({ message: 'Username or email is already in use' });
+      }
+    }
+
+    if (usernameChanged) {
+      user.username = username;
+    }
+    if (emailChanged) {
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+    await user.save();
+
+    // A mail failure shouldn't fail the update; the user can ask for a new link
+    if (emailChanged) {
+      try {
+        await sendVerification(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+
+    const updatedUser = await User.findById(user._id).select(PROFILE_FIELDS);
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating profile', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Logs out every other device; the current session stays signed in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: New password is too short
+ *       401:
+ *         description: Current password is wrong
+ *       404:
+ *         description: User not found
+ */
+router.put('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(String(currentPassword || ''), user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    await revokeUserSessions(user._id, 'revoked', { except: req.user.sid });
+
+    res.status(200).json({ message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/avatar:
+ *   put:
+ *     summary: Set the current user's avatar
+ *     description: The image is hosted elsewhere; only its URL is stored.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatarUrl
+ *             properties:
+ *               avatarUrl:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Avatar updated
+ *       400:
+ *         description: Not an http or https URL
+ *       404:
+ *         description: User not found
+ */
+router.put('/me/avatar', async (req, res) => {
+  try {
+    const { avatarUrl } = req.body;
+
+    if (typeof avatarUrl !== 'string' || avatarUrl.length > MAX_AVATAR_URL_LENGTH || !isHttpUrl(avatarUrl)) {
+      return res.status(400).json({ message: 'Avatar must be an http or https URL' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { avatarUrl },
+      { new: true }
+    ).select(PROFILE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating avatar', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/avatar:
+ *   delete:
+ *     summary: Remove the current user's avatar
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed
+ *       404:
+ *         description: User not found
+ */
+router.delete('/me/avatar', async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { avatarUrl: '' },
+      { new: true }
+    ).select(PROFILE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing avatar', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: >
+ *       Deletes the account with its cart, shelves, reviews and replies,
+ *       reading progress, highlights and bookmarks, and sessions. Orders are kept as
+ *       financial records. Accounts with orders still pending, processing or
+ *       shipped can't be deleted until they are delivered or cancelled.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, to confirm
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: The account is the only admin
+ *       401:
+ *         description: Password is wrong
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has orders still in progress
+ */
+router.delete('/me', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(String(req.body.password || ''), user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.isAdmin && (await User.countDocuments({ isAdmin: true })) <= 1) {
+      return res.status(400).json({ message: 'Cannot delete the only admin account' });
+    }
+
+    const openOrders = await countOpenOrders(user._id);
+    if (openOrders > 0) {
+      return res.status(409).json({
+        message: 'You have orders in progress. Wait for them to be delivered or cancel them before deleting your account.',
+        openOrders
+      });
+    }
+
+    await deleteUserAccount(user._id);
+
+    res.status(200).json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting account', error: error.message });
+  }
+});
+
+// Make `address` the only default address of the user
+const setDefaultAddress = (user, address) => {
+  user.addresses.forEach(existing => {
+    existing.isDefault = existing._id.equals(address._id);
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/me/addresses:
+ *   get:
+ *     summary: Get the current user's saved addresses
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses, default first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedAddress'
+ *       404:
+ *         description: User not found
+ */
+router.get('/me/addresses', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const addresses = [...user.addresses].sort((a, b) => b.isDefault - a.isDefault);
+
+    res.status(200).json(addresses);
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrieving addresses', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/addresses:
+ *   post:
+ *     summary: Save a new address
+ *     description: The first address saved becomes the default.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *       400:
+ *         description: Invalid address, bad postal code or address book full
+ *       404:
+ *         description: User not found
+ */
+router.post('/me/addresses', async (req, res) => {
+  try {
+    const { label, isDefault } = req.body;
+    const fields = pickAddress(req.body);
+
+    const error = validateAddress(fields);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save at most ${MAX_ADDRESSES} addresses` });
+    }
+
+    user.addresses.push({ ...fields, label });
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (isDefault || user.addresses.length === 1) {
+      setDefaultAddress(user, address);
+    }
+    await user.save();
+
+    res.status(201).json(address);
+  } catch (error) {
+    res.status(400).json({ message: 'Error saving address', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     description: Only the fields sent are changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Invalid address or bad postal code
+ *       404:
+ *         description: Address not found
+ */
+router.put('/me/addresses/:addressId', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const fields = { ...pickAddress(address), ...pickAddress(req.body) };
+
+    const error = validateAddress(fields);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    ADDRESS_FIELDS.forEach(field => {
+      address[field] = fields[field];
+    });
+    if (req.body.label !== undefined) {
+      address.label = req.body.label;
+    }
+    if (req.body.isDefault) {
+      setDefaultAddress(user, address);
+    }
+    await user.save();
+
+    res.status(200).json(address);
+  } catch (error) {
+    res.status(400).json({ message: 'Error updating address', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/addresses/{addressId}/default:
+ *   put:
+ *     summary: Make a saved address the default
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default address changed
+ *       404:
+ *         description: Address not found
+ */
+router.put('/me/addresses/:addressId/default', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    setDefaultAddress(user, address);
+    await user.save();
+
+    res.status(200).json(address);
+  } catch (error) {
+    res.status(400).json({ message: 'Error setting default address', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: >
+ *       Deleting the default address makes the oldest remaining address the
+ *       default. Orders keep their own copy of the address.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       404:
+ *         description: Address not found
+ */
+router.delete('/me/addresses/:addressId', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user && user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+    if (wasDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]);
+    }
+    await user.save();
+
+    res.status(200).json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting address', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/data-export:
+ *   get:
+ *     summary: Download everything stored about the current user
+ *     description: >
+ *       Returns the profile and address book, cart, orders, reviews and
+ *       replies, shelves and saved books, reading progress, highlights and bookmarks, and sessions as
+ *       a downloadable JSON file, or a ZIP with one JSON file each. The export is recorded in the data request audit log.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Archive of the user's data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown format
+ *       404:
+ *         description: User not found
+ */
+router.get('/me/data-export', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const archive = await exportPersonalData(req.user.id, format);
+
+    if (!archive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await recordDataRequest({
+      user: req.user.id,
+      type: 'export',
+      requestedBy: req.user.id,
+      format,
+      details: archive.details
+    });
+
+    res.set('Content-Type', archive.contentType);
+    res.attachment(archive.filename);
+    res.status(200).send(archive.body);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting personal data', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/data-erasure:
+ *   post:
+ *     summary: Erase the current user's account and personal data
+ *     description: >
+ *       Unlike deleting the account, this also anonymises the user's orders,
+ *       which are kept for accounting with the street, city and postal code,
+ *       status notes, refund reasons and payment details other than the
+ *       provider's transaction removed. Everything else is deleted. Not
+ *       possible while orders are still in progress. The erasure is recorded
+ *       in the data request audit log.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, to confirm
+ *     responses:
+ *       200:
+ *         description: Personal data erased
+ *       400:
+ *         description: The account is the only admin
+ *       401:
+ *         description: Password is wrong
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has orders still in progress
+ */
+router.post('/me/data-erasure', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(String(req.body.password || ''), user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.isAdmin && (await User.countDocuments({ isAdmin: true })) <= 1) {
+      return res.status(400).json({ message: 'Cannot delete the only admin account' });
+    }
+
+    const openOrders = await countOpenOrders(user._id);
+    if (openOrders > 0) {
+      return res.status(409).json({
+        message: 'You have orders in progress. Wait for them to be delivered or cancel them before erasing your data.',
+        openOrders
+      });
+    }
+
+    const details = await erasePersonalData(user._id);
+    await recordDataRequest({
+      user: user._id,
+      type: 'erasure',
+      requestedBy: user._id,
+      details
+    });
+
+    res.status(200).json({ message: 'Personal data erased successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error erasing personal data', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Give books created before stock tracking a stock level. They have no stock
+// field, which the cart reads as 0 and checkout's reservation never matches,
+// so every one of them is out of stock until this runs. Run once after
+// deploying stock tracking, with the quantity to start each book at:
+//
+//   npm run backfill-book-stock -- 100
+//
+// Books that already have a stock level are left alone, so it is safe to run
+// again. Missing low-stock thresholds get the default of 5.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/book.model');
+
+dotenv.config();
+
+const run = async () => {
+  const stock = Number(process.argv[2]);
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw new Error('Usage: npm run backfill-book-stock -- <initial stock, a whole number>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const stocked = await Book.updateMany(
+    { stock: { $exists: false } },
+    { $set: { stock } }
+  );
+  const thresholds = await Book.updateMany(
+    { lowStockThreshold: { $exists: false } },
+    { $set: { lowStockThreshold: Book.schema.path('lowStockThreshold').defaultValue } }
+  );
+
+  console.log(`${stocked.modifiedCount} books given a stock of ${stock}; ${thresholds.modifiedCount} given a low-stock threshold`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Error backfilling book stock:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+// Move books saved before shelves existed onto each user's Want to read
+// shelf. Run once after deploying shelves; it is safe to run again, and only
+// touches users who still have old saved books:
+//
+//   npm run migrate-saved-books
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const SavedBook = require('../models/savedBook.model');
+const { migrateSavedBooks } = require('../utils/shelves');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const userIds = await SavedBook.distinct('user');
+  let moved = 0;
+  for (const userId of userIds) {
+    moved += await migrateSavedBooks(userId);
+  }
+
+  console.log(`${moved} saved books moved onto shelves for ${userIds.length} users`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Error migrating saved books:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
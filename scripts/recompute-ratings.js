@@ -0,0 +1,23 @@
+// Rebuild every book's rating aggregates from its reviews. Run once after
+// deploying the aggregates, and whenever they look out of step with the
+// reviews:
+//
+//   npm run recompute-ratings
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { recomputeBookRatings } = require('../utils/ratings');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const updated = await recomputeBookRatings();
+  console.log(`Rating aggregates recomputed; ${updated} books changed`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Error recomputing rating aggregates:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
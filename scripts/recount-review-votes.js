@@ -0,0 +1,23 @@
+// Rebuild every review's helpful and unhelpful counts from the votes. Run
+// once after deploying helpful votes, so older reviews get counts to sort
+// on, and whenever the counts look out of step with the votes:
+//
+//   npm run recount-review-votes
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { recountVotes } = require('../utils/reviews');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const updated = await recountVotes();
+  console.log(`Review votes recounted; ${updated} reviews changed`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Error recounting review votes:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Rebuild every book's search bigrams from its title, author and
+// description. Run once after deploying a change to the stored bigrams, so
+// books saved before it can be found, and whenever search misses books it
+// should match:
+//
+//   npm run reindex-book-search
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/book.model');
+const { searchGramsFor } = require('../utils/search');
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (operations.length > 0) {
+      const result = await Book.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    }
+  };
+
+  for await (const book of Book.find().select('title author description').lean().cursor()) {
+    operations.push({
+      updateOne: {
+        filter: { _id: book._id },
+        update: { $set: searchGramsFor(book) },
+      },
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`Book search reindexed; ${updated} books changed`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Error reindexing book search:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
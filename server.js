@@ -5,20 +5,65 @@ const dotenv = require('dotenv');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
+// Settings, read from the environment or a .env file:
+//
+//   MONGODB_URI   a replica set (a single-node one is enough for development)
+//                 or sharded cluster; checkout and review, vote and reply
+//                 writes run in transactions, which standalone servers don't
+//                 support. The server checks this at startup.
+//   PAYMENT_PROVIDER and the provider's settings (MOCK_PAYMENT_WEBHOOK_SECRET
+//                 for the mock provider, which is unavailable in production)
+//   PAYMENT_PROVIDER_MODULES
+//                 comma-separated paths to modules exporting real providers;
+//                 see payments/index.js
+//   MAIL_TRANSPORT console or file for development
+//   MAIL_TRANSPORT_MODULE
+//                 path to a module exporting a real mail transport, required
+//                 in production; see utils/mailer.js
+//
+// Load .env before the routes, since some modules read settings when loaded
+dotenv.config();
+
 const authRoutes = require('./routes/auth.routes');
 const bookRoutes = require('./routes/book.routes');
 const categoryRoutes = require('./routes/category.routes');
 const reviewRoutes = require('./routes/review.routes');
+const reviewReplyRoutes = require('./routes/reviewReply.routes');
 const savedBookRoutes = require('./routes/savedBook.routes');
+const shelfRoutes = require('./routes/shelf.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/order.routes');
 const adminRoutes = require('./routes/admin.routes');
+const fulfilmentRoutes = require('./routes/fulfilment.routes');
+const couponRoutes = require('./routes/coupon.routes');
+const moderationRoutes = require('./routes/moderation.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const userRoutes = require('./routes/user.routes');
+const chapterRoutes = require('./routes/chapter.routes');
+const annotationRoutes = require('./routes/annotation.routes');
+const readingProgressRoutes = require('./routes/readingProgress.routes');
+const Chapter = require('./models/chapter.model');
+const { checkPaymentConfig } = require('./payments');
+const { checkMailConfig } = require('./utils/mailer');
 
-dotenv.config();
+// Refuse to start with settings that would let orders through unpaid or leak
+// sign-in links into the logs
+try {
+  checkPaymentConfig();
+  checkMailConfig();
+} catch (error) {
+  console.error(`Configuration error: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 
 app.use(cors());
+// Payment webhooks parse their own bodies to verify signatures over the raw
+// bytes, so they are mounted before the JSON parsers
+app.use('/api/payments', paymentRoutes);
+// Admins upload whole chapters, which exceed the default 100kb limit
+app.use('/api/books/:bookId/chapters', express.json({ limit: Chapter.MAX_BODY_BYTES }));
 app.use(express.json());
 const swaggerOptions = {
   definition: {
@@ -41,12 +86,21 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/books/:bookId/chapters', chapterRoutes);
+app.use('/api/books/:bookId/annotations', annotationRoutes);
 app.use('/api/books', bookRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews/:id/replies', reviewReplyRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/saved-books', savedBookRoutes);
+app.use('/api/shelves', shelfRoutes);
+app.use('/api/reading-progress', readingProgressRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/admin/fulfilment', fulfilmentRoutes);
+app.use('/api/admin/coupons', couponRoutes);
+app.use('/api/admin/moderation', moderationRoutes);
 app.use('/api/admin', adminRoutes);
 
 mongoose
@@ -54,8 +108,17 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(() => mongoose.connection.db.admin().command({ hello: 1 }))
+  .then((hello) => {
     console.log('Connected to MongoDB');
+    // Replica set members report setName; mongos routers report isdbgrid
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.error(
+        'MongoDB must be a replica set or sharded cluster, since checkout and reviews use transactions. ' +
+        'For development, start mongod with --replSet rs0 and run rs.initiate() once.'
+      );
+      process.exit(1);
+    }
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
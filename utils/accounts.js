@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Cart = require('../models/cart.model');
+const SavedBook = require('../models/savedBook.model');
+const Shelf = require('../models/shelf.model');
+const Review = require('../models/review.model');
+const ReviewReport = require('../models/reviewReport.model');
+const ReviewVote = require('../models/reviewVote.model');
+const ReviewReply = require('../models/reviewReply.model');
+const ReadingProgress = require('../models/readingProgress.model');
+const Annotation = require('../models/annotation.model');
+const Session = require('../models/session.model');
+const UserToken = require('../models/userToken.model');
+const Order = require('../models/order.model');
+const { applyRatingChange } = require('./ratings');
+const { isPublished } = require('./moderation');
+const { withdrawVote, softDeleteReply } = require('./reviews');
+
+// What happens to a user's data when their account is deleted:
+//
+//   - the user, their cart, shelves (public ones included), saved books,
+//     reviews, reading progress, annotations (highlights, notes and
+//     bookmarks) and the reports and helpful votes they made on reviews are
+//     deleted; their ratings are taken out of the books' rating aggregates
+//     and reports about their reviews are closed
+//   - replies under their reviews are deleted with the reviews; their replies
+//     to other reviews are deleted the way a reply is, keeping the thread's
+//     structure without their name or text
+//   - sessions and email/password tokens are deleted, which logs them out
+//   - orders and coupon redemptions are kept, since they are financial
+//     records, with the user ID and shipping address
+//
+// Erasure, for a personal data request, also anonymises the orders: the
+// street, city and postal code are replaced, keeping the country and state
+// that tax records need. Free text on the order (status change notes and
+// refund reasons, which can hold what the customer wrote when cancelling) is
+// redacted too, and the payment details are cut down to the provider,
+// transaction ID and timestamps, dropping anything else stored with them.
+//
+// Accounts with orders still being fulfilled can't delete themselves, so
+// shipping and refunds aren't left without an owner.
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+const REDACTED = '[redacted]';
+
+const countOpenOrders = (userId) =>
+  Order.countDocuments({ user: userId, status: { $in: OPEN_ORDER_STATUSES } });
+
+/**
+ * Delete a user and their personal data following the policy above, in one
+ * transaction. Pass `anonymizeOrders` for an erasure. Returns the number of
+ * documents removed (or anonymised) per collection.
+ */
+const deleteUserAccount = async (userId, { anonymizeOrders = false } = {}) => {
+  const session = await mongoose.startSession();
+  let removed;
+
+  try {
+    await session.withTransaction(async () => {
+      // Operations in a transaction have to run one at a time
+      const filter = { user: userId };
+      const carts = await Cart.deleteMany(filter, { session });
+      const shelves = await Shelf.deleteMany(filter, { session });
+      const savedBooks = await SavedBook.deleteMany(filter, { session });
+      // Take the user's ratings out of the books' aggregates first
+      const userReviews = await Review.find(filter).select('book rating status').session(session);
+      for (const review of userReviews.filter(isPublished)) {
+        await applyRatingChange(review.book, { from: review.rating }, { session });
+      }
+      await ReviewReport.updateMany(
+        { review: { $in: userReviews.map(review => review._id) }, status: 'open' },
+        { $set: { status: 'resolved', resolution: 'deleted', resolvedAt: new Date() } },
+        { session }
+      );
+      await ReviewVote.deleteMany({ review: { $in: userReviews.map(review => review._id) } }, { session });
+      await ReviewReply.deleteMany({ review: { $in: userReviews.map(review => review._id) } }, { session });
+      const reviews = await Review.deleteMany(filter, { session });
+      // Take the user's helpful votes off other people's reviews
+      const userVotes = await ReviewVote.find(filter).select('review').session(session);
+      for (const vote of userVotes) {
+        await withdrawVote(vote.review, userId, { session });
+      }
+      const userReplies = await ReviewReply.find({ ...filter, deletedAt: null }).select('_id').session(session);
+      for (const reply of userReplies) {
+        await softDeleteReply(reply._id, null, { session });
+      }
+      // Withdraw the user's open reports from the moderation queue
+      const openReports = await ReviewReport.find({ ...filter, status: 'open' }).select('review').session(session);
+      await Review.updateMany(
+        { _id: { $in: openReports.map(report => report.review) }, openReportCount: { $gt: 0 } },
+        { $inc: { openReportCount: -1 } },
+        { session }
+      );
+      const reports = await ReviewReport.deleteMany(filter, { session });
+      const readingProgress = await ReadingProgress.deleteMany(filter, { session });
+      const annotations = await Annotation.deleteMany(filter, { session });
+      const sessions = await Session.deleteMany(filter, { session });
+      const tokens = await UserToken.deleteMany(filter, { session });
+      await User.deleteOne({ _id: userId }, { session });
+
+      removed = {
+        carts: carts.deletedCount,
+        shelves: shelves.deletedCount,
+        savedBooks: savedBooks.deletedCount,
+        reviews: reviews.deletedCount,
+        reviewReports: reports.deletedCount,
+        reviewVotes: userVotes.length,
+        reviewReplies: userReplies.length,
+        readingProgress: readingProgress.deletedCount,
+        annotations: annotations.deletedCount,
+        sessions: sessions.deletedCount,
+        tokens: tokens.deletedCount,
+      };
+
+      if (anonymizeOrders) {
+        // Updated directly, since old orders may not pass current validation.
+        // Orders from before status history or refunds existed may lack the
+        // arrays, hence the $ifNull.
+        const redactField = (array, field) => ({
+          $map: {
+            input: { $ifNull: [`$${array}`, []] },
+            as: 'item',
+            in: {
+              $mergeObjects: [
+                '$$item',
+                { [field]: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: [`$$item.${field}`, ''] } }, 0] }, REDACTED, ''] } },
+              ],
+            },
+          },
+        });
+        const orders = await Order.updateMany(
+          { user: userId, anonymizedAt: null },
+          [
+            {
+              $set: {
+                'shippingAddress.street': REDACTED,
+                'shippingAddress.city': REDACTED,
+                'shippingAddress.zipCode': REDACTED,
+                statusHistory: redactField('statusHistory', 'note'),
+                refunds: redactField('refunds', 'reason'),
+                paymentDetails: {
+                  provider: '$paymentDetails.provider',
+                  transactionId: '$paymentDetails.transactionId',
+                  authorizedAt: '$paymentDetails.authorizedAt',
+                  capturedAt: '$paymentDetails.capturedAt',
+                  voidedAt: '$paymentDetails.voidedAt',
+                },
+                anonymizedAt: new Date(),
+              },
+            },
+            { $unset: 'idempotencyKey' },
+          ],
+          { session }
+        );
+        removed.anonymizedOrders = orders.modifiedCount;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return removed;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  countOpenOrders,
+  deleteUserAccount,
+};
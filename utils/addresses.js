@@ -0,0 +1,126 @@
+const User = require('../models/user.model');
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+// Postal code formats by ISO country code. Countries not listed here accept
+// any code of 2-10 letters, digits, spaces or dashes.
+const POSTAL_CODE_FORMATS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+  MX: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  IE: /^[A-Z\d]{3} ?[A-Z\d]{4}$/i,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/i,
+  AU: /^\d{4}$/,
+  IN: /^\d{6}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+};
+const DEFAULT_POSTAL_CODE_FORMAT = /^[A-Z\d][A-Z\d -]{1,9}$/i;
+
+// Country names customers commonly type instead of the code
+const COUNTRY_ALIASES = {
+  USA: 'US',
+  'UNITED STATES': 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  CANADA: 'CA',
+  MEXICO: 'MX',
+  UK: 'GB',
+  'UNITED KINGDOM': 'GB',
+  'GREAT BRITAIN': 'GB',
+  IRELAND: 'IE',
+  GERMANY: 'DE',
+  FRANCE: 'FR',
+  SPAIN: 'ES',
+  ITALY: 'IT',
+  NETHERLANDS: 'NL',
+  AUSTRALIA: 'AU',
+  INDIA: 'IN',
+  JAPAN: 'JP',
+  BRAZIL: 'BR',
+};
+
+const countryCode = (country) => {
+  const name = String(country || '').trim().toUpperCase();
+  return COUNTRY_ALIASES[name] || name;
+};
+
+/**
+ * Copy just the address fields out of `source`, trimming strings, so
+ * request bodies and saved addresses can't add anything else to an order.
+ */
+const pickAddress = (source = {}) =>
+  ADDRESS_FIELDS.reduce((address, field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      address[field] = typeof source[field] === 'string' ? source[field].trim() : source[field];
+    }
+    return address;
+  }, {});
+
+/**
+ * Check that every field is filled in and the postal code fits the
+ * country's format. Returns an error message or null.
+ */
+const validateAddress = (address) => {
+  if (!address || typeof address !== 'object') {
+    return 'Address is required';
+  }
+
+  const missing = ADDRESS_FIELDS.filter(field =>
+    typeof address[field] !== 'string' || address[field].trim() === ''
+  );
+  if (missing.length > 0) {
+    return `Address is missing: ${missing.join(', ')}`;
+  }
+
+  const format = POSTAL_CODE_FORMATS[countryCode(address.country)] || DEFAULT_POSTAL_CODE_FORMAT;
+  if (!format.test(address.zipCode.trim())) {
+    return `Invalid postal code for ${address.country.trim()}`;
+  }
+
+  return null;
+};
+
+/**
+ * Find one of the user's saved addresses, or null.
+ */
+const findSavedAddress = async (userId, addressId) => {
+  const user = await User.findById(userId).select('addresses');
+  return (user && user.addresses.id(addressId)) || null;
+};
+
+/**
+ * Work out the address to ship to at checkout: the saved address `addressId`
+ * of the user, or the `shippingAddress` sent with the request. Returns
+ * { address } or { error }.
+ */
+const resolveShippingAddress = async (userId, { addressId, shippingAddress }) => {
+  let address;
+
+  if (addressId) {
+    const saved = await findSavedAddress(userId, addressId);
+    if (!saved) {
+      return { error: 'Saved address not found' };
+    }
+    address = pickAddress(saved);
+  } else if (shippingAddress) {
+    address = pickAddress(shippingAddress);
+  } else {
+    return { error: 'Either addressId or shippingAddress is required' };
+  }
+
+  const error = validateAddress(address);
+  return error ? { error } : { address };
+};
+
+module.exports = {
+  ADDRESS_FIELDS,
+  pickAddress,
+  validateAddress,
+  findSavedAddress,
+  resolveShippingAddress,
+};
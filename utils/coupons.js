@@ -0,0 +1,185 @@
+const Book = require('../models/book.model');
+const Coupon = require('../models/coupon.model');
+const CouponRedemption = require('../models/couponRedemption.model');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Turn cart or order items into priced lines with their book's categories,
+ * which category-restricted coupons need.
+ */
+const loadLines = async (items) => {
+  const books = await Book.find({ _id: { $in: items.map(item => idOf(item.book)) } })
+    .select('categories');
+  const categoriesByBook = new Map(
+    books.map(book => [book._id.toString(), book.categories.map(id => id.toString())])
+  );
+
+  return items.map(item => ({
+    book: idOf(item.book),
+    categories: categoriesByBook.get(idOf(item.book)) || [],
+    price: item.price,
+    quantity: item.quantity,
+  }));
+};
+
+// A coupon without books or categories applies to everything
+const appliesTo = (coupon, line) => {
+  const books = coupon.books.map(id => id.toString());
+  const categories = coupon.categories.map(id => id.toString());
+
+  if (books.length === 0 && categories.length === 0) {
+    return true;
+  }
+  return books.includes(line.book) || line.categories.some(id => categories.includes(id));
+};
+
+/**
+ * Check that a coupon can be used right now by this user. Returns an error
+ * message, or null when it can.
+ */
+const checkAvailability = async (coupon, userId) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.active) {
+    return 'Coupon is not valid';
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return 'Coupon is not active yet';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return 'Coupon has expired';
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return 'Coupon usage limit has been reached';
+  }
+  if (coupon.perUserLimit !== null && userId) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    if (used >= coupon.perUserLimit) {
+      return 'You have already used this coupon the maximum number of times';
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out what a coupon takes off the given lines. Returns
+ * { discount, freeShipping } or { error } when it doesn't apply.
+ */
+const calculateDiscount = (coupon, lines) => {
+  const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+  if (subtotal < coupon.minSubtotal) {
+    return { error: `Spend at least ${coupon.minSubtotal} to use this coupon` };
+  }
+
+  const eligible = lines.filter(line => appliesTo(coupon, line));
+  if (eligible.length === 0) {
+    return { error: 'Coupon does not apply to any items in your cart' };
+  }
+  const eligibleSubtotal = eligible.reduce((total, line) => total + line.price * line.quantity, 0);
+
+  let discount = 0;
+  let freeShipping = false;
+
+  switch (coupon.type) {
+    case 'percentage':
+      discount = eligibleSubtotal * coupon.value / 100;
+      if (coupon.maxDiscount !== null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+      }
+      break;
+
+    case 'fixed':
+      discount = Math.min(coupon.value, eligibleSubtotal);
+      break;
+
+    case 'free_shipping':
+      freeShipping = true;
+      break;
+
+    case 'buy_x_get_y': {
+      // For every buyQuantity + getQuantity eligible units, the cheapest
+      // getQuantity of them are free
+      const unitPrices = eligible
+        .flatMap(line => Array(line.quantity).fill(line.price))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(unitPrices.length / (coupon.buyQuantity + coupon.getQuantity))
+        * coupon.getQuantity;
+
+      if (freeUnits === 0) {
+        return {
+          error: `Add ${coupon.buyQuantity + coupon.getQuantity} eligible items to use this coupon`
+        };
+      }
+      discount = unitPrices.slice(0, freeUnits).reduce((total, price) => total + price, 0);
+      break;
+    }
+
+    default:
+      return { error: 'Coupon is not valid' };
+  }
+
+  return { discount: roundMoney(Math.min(discount, subtotal)), freeShipping };
+};
+
+/**
+ * Check availability and calculate the discount for cart or order items.
+ */
+const evaluateCoupon = async (coupon, items, userId) => {
+  const error = await checkAvailability(coupon, userId);
+  if (error) {
+    return { error };
+  }
+  return calculateDiscount(coupon, await loadLines(items));
+};
+
+/**
+ * Count an order against the coupon's limits. Returns false if the last use
+ * was taken in the meantime. Pass `session` to run inside a transaction.
+ */
+const redeemCoupon = async (couponId, userId, orderId, { session } = {}) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!coupon) {
+    return false;
+  }
+
+  await CouponRedemption.create([{ coupon: couponId, user: userId, order: orderId }], { session });
+  return true;
+};
+
+/**
+ * Give a coupon use back, e.g. when the order that used it is cancelled.
+ */
+const releaseCoupon = async (couponId, orderId, { session } = {}) => {
+  const redemption = await CouponRedemption.findOneAndDelete(
+    { coupon: couponId, order: orderId },
+    { session }
+  );
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
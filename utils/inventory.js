@@ -0,0 +1,114 @@
+const Book = require('../models/book.model');
+const Order = require('../models/order.model');
+
+// Stock is decremented with a conditional update per book, so two orders
+// racing for the last copy can't both succeed. The same updates keep each
+// book's unitsSold, so it counts the copies in orders that weren't cancelled.
+// The functions take an optional MongoDB session so they can run inside a
+// transaction.
+
+/**
+ * Take `quantity` copies of each item's book out of stock. Either every item
+ * is reserved or none is: on failure, already reserved items are put back and
+ * the items that couldn't be reserved are returned.
+ */
+const reserveStock = async (items, { session } = {}) => {
+  const reserved = [];
+  const failures = [];
+
+  for (const item of items) {
+    const result = await Book.updateOne(
+      { _id: item.book, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity, unitsSold: item.quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 1) {
+      reserved.push(item);
+    } else {
+      failures.push(item);
+    }
+  }
+
+  if (failures.length > 0) {
+    await releaseStock(reserved, { session });
+  }
+
+  return { ok: failures.length === 0, failures };
+};
+
+/**
+ * Put the items' quantities back into stock, e.g. when an order is cancelled.
+ */
+const releaseStock = async (items, { session } = {}) => {
+  if (items.length === 0) {
+    return;
+  }
+
+  await Book.bulkWrite(
+    items.map(item => ({
+      updateOne: {
+        filter: { _id: item.book },
+        update: { $inc: { stock: item.quantity, unitsSold: -item.quantity } },
+      },
+    })),
+    { session }
+  );
+};
+
+/**
+ * Describe items that are out of stock in a form suitable for API errors.
+ */
+const describeStockFailures = async (failures) => {
+  const books = await Book.find({ _id: { $in: failures.map(item => item.book) } })
+    .select('title stock');
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+  return failures.map(item => {
+    const book = booksById.get(item.book.toString());
+    return {
+      book: item.book,
+      title: book ? book.title : null,
+      requested: item.quantity,
+      available: book ? book.stock : 0,
+    };
+  });
+};
+
+/**
+ * Rebuild every book's unitsSold from the orders that weren't cancelled.
+ * Orders placed while this runs can be missed, so run it when the store is
+ * quiet. Returns the number of books whose count changed.
+ */
+const recountUnitsSold = async () => {
+  const sales = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.book', unitsSold: { $sum: '$items.quantity' } } },
+  ]);
+
+  const operations = sales.map(({ _id, unitsSold }) => ({
+    updateOne: {
+      filter: { _id },
+      update: { $set: { unitsSold } },
+    },
+  }));
+  // Books without sales are reset, including ones that predate the count
+  operations.push({
+    updateMany: {
+      filter: { _id: { $nin: sales.map(entry => entry._id) }, unitsSold: { $ne: 0 } },
+      update: { $set: { unitsSold: 0 } },
+    },
+  });
+
+  const result = await Book.bulkWrite(operations, { ordered: false });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  describeStockFailures,
+  recountUnitsSold,
+};
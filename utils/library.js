@@ -0,0 +1,47 @@
+const Order = require('../models/order.model');
+
+// A user owns a book once an order containing it has been paid for or
+// delivered, unless the order was cancelled or fully refunded.
+const ownershipFilter = (userId) => ({
+  user: userId,
+  status: { $ne: 'cancelled' },
+  paymentStatus: { $ne: 'refunded' },
+  $or: [
+    { status: 'delivered' },
+    { paymentStatus: { $in: ['paid', 'partially_refunded'] } },
+  ],
+});
+
+/**
+ * Whether the user owns the book.
+ */
+const ownsBook = async (userId, bookId) =>
+  Boolean(await Order.exists({ ...ownershipFilter(userId), 'items.book': bookId }));
+
+/**
+ * Whether the user has had the book delivered, which makes their review of it
+ * a verified purchase.
+ */
+const hasDeliveredOrder = async (userId, bookId) =>
+  Boolean(await Order.exists({ user: userId, status: 'delivered', 'items.book': bookId }));
+
+/**
+ * Whether `user` (req.user, or undefined for anonymous requests) can read the
+ * whole book rather than just its preview chapters. Admins can read
+ * everything.
+ */
+const canReadFullBook = async (user, bookId) => {
+  if (!user) {
+    return false;
+  }
+  if (user.isAdmin) {
+    return true;
+  }
+  return ownsBook(user.id, bookId);
+};
+
+module.exports = {
+  ownsBook,
+  hasDeliveredOrder,
+  canReadFullBook,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Outgoing email goes through a transport: any object with an async
+// `send(message)` method, where message is { from, to, subject, text, html }.
+// MAIL_TRANSPORT picks one of the built-in stand-ins below for development;
+// they write whole messages, sign-in links included, to the logs or disk, so
+// they are refused when NODE_ENV is production. Production deployments plug
+// in a real transport (SMTP, an email API, ...) by pointing
+// MAIL_TRANSPORT_MODULE at a module that exports one, or with setTransport().
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+};
+
+// Writes each message as a JSON file, handy for local development and tests
+const fileTransport = {
+  async send(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let customTransport = null;
+
+const setTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a send(message) method');
+  }
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (!customTransport && process.env.MAIL_TRANSPORT_MODULE) {
+    setTransport(require(path.resolve(process.env.MAIL_TRANSPORT_MODULE)));
+  }
+  if (customTransport) {
+    return customTransport;
+  }
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT or MAIL_TRANSPORT_MODULE must be set');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`Mail transport "${name}" is for development only; set MAIL_TRANSPORT_MODULE to a real one`);
+  }
+  return transports[name];
+};
+
+/**
+ * Check the mail settings at startup, after any setTransport() call. Throws
+ * when no usable transport is configured or MAIL_TRANSPORT_MODULE can't be
+ * loaded.
+ */
+const checkMailConfig = () => {
+  getTransport();
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html: html || text,
+  });
+
+// Links in emails point at the frontend, which calls the API with the token
+const appUrl = (pathname, token) =>
+  `${process.env.APP_URL || 'http://localhost:3000'}${pathname}?token=${encodeURIComponent(token)}`;
+
+const sendVerificationEmail = (user, token) => {
+  const link = appUrl('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = appUrl('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. If it was you, open this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  });
+};
+
+module.exports = {
+  setTransport,
+  checkMailConfig,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
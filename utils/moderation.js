@@ -0,0 +1,116 @@
+const Review = require('../models/review.model');
+const ReviewReport = require('../models/reviewReport.model');
+const ReviewVote = require('../models/reviewVote.model');
+const ReviewReply = require('../models/reviewReply.model');
+const moderationConfig = require('../config/moderation');
+const { escapeRegex } = require('./search');
+const { applyRatingChange } = require('./ratings');
+
+// Only published reviews count towards a book's rating aggregates, so every
+// status change goes through changeReviewStatus. The functions take an
+// optional MongoDB session so they can run inside a transaction.
+
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|info|biz|xyz|ru|ly)\b/i;
+
+const bannedWordsRegex = moderationConfig.bannedWords.length > 0
+  ? new RegExp(`\\b(?:${moderationConfig.bannedWords.map(escapeRegex).join('|')})\\b`, 'gi')
+  : null;
+
+const isPublished = (review) => !['pending', 'hidden'].includes(review.status);
+
+/**
+ * Run the configured rules over a review's text. Returns the flags it
+ * matched, empty when the text is clean.
+ */
+const checkReviewContent = (text) => {
+  const flags = [];
+  if (!text) {
+    return flags;
+  }
+
+  if (bannedWordsRegex) {
+    const words = new Set((text.match(bannedWordsRegex) || []).map(word => word.toLowerCase()));
+    words.forEach(word => flags.push({ rule: 'banned_word', match: word }));
+  }
+  if (moderationConfig.flagLinks) {
+    const link = text.match(LINK_REGEX);
+    if (link) {
+      flags.push({ rule: 'link', match: link[0] });
+    }
+  }
+
+  return flags;
+};
+
+/**
+ * Status a review with these flags gets on submission.
+ */
+const initialStatus = (flags) =>
+  flags.length > 0 && moderationConfig.holdFlagged ? 'pending' : 'published';
+
+/**
+ * Move a review to `status`, with any other fields in `set`, and add or
+ * remove its rating from the book's aggregates when it is published or
+ * unpublished. Returns the review as it was before, or null if it no longer
+ * exists.
+ */
+const changeReviewStatus = async (reviewId, status, set = {}, { session } = {}) => {
+  const previous = await Review.findOneAndUpdate(
+    { _id: reviewId },
+    { $set: { status, ...set } },
+    { session }
+  );
+  if (!previous) {
+    return null;
+  }
+
+  const wasPublished = isPublished(previous);
+  if (wasPublished && status !== 'published') {
+    await applyRatingChange(previous.book, { from: previous.rating }, { session });
+  } else if (!wasPublished && status === 'published') {
+    await applyRatingChange(previous.book, { to: previous.rating }, { session });
+  }
+
+  return previous;
+};
+
+/**
+ * Close a review's open reports with the moderator's decision.
+ */
+const resolveReports = (reviewId, resolution, moderatorId, { session } = {}) =>
+  ReviewReport.updateMany(
+    { review: reviewId, status: 'open' },
+    { $set: { status: 'resolved', resolution, resolvedBy: moderatorId, resolvedAt: new Date() } },
+    { session }
+  );
+
+/**
+ * Delete a review with its votes and replies, taking it out of the book's
+ * aggregates if it was published and closing its open reports. Returns the deleted review, or null
+ * if it no longer exists.
+ */
+const deleteReview = async (reviewId, deletedBy, { session } = {}) => {
+  const deletedReview = await Review.findOneAndDelete({ _id: reviewId }, { session });
+  if (!deletedReview) {
+    return null;
+  }
+
+  if (isPublished(deletedReview)) {
+    await applyRatingChange(deletedReview.book, { from: deletedReview.rating }, { session });
+  }
+  await resolveReports(deletedReview._id, 'deleted', deletedBy, { session });
+  await ReviewVote.deleteMany({ review: deletedReview._id }, { session });
+  await ReviewReply.deleteMany({ review: deletedReview._id }, { session });
+
+  return deletedReview;
+};
+
+module.exports = {
+  moderationConfig,
+  isPublished,
+  checkReviewContent,
+  initialStatus,
+  changeReviewStatus,
+  resolveReports,
+  deleteReview,
+};
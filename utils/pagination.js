@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Keyset ("cursor") pagination helpers.
+//
+// A cursor records the sort value and _id of the last item of a page, so the
+// next page starts strictly after it. Unlike skip/limit this stays fast on
+// large collections and doesn't repeat or drop items when documents are
+// inserted between requests. Cursors are opaque base64url strings to clients.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse the `limit` query parameter. Returns null when it is invalid.
+ */
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT) => {
+  if (value === undefined || value === '') {
+    return defaultLimit;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return null;
+  }
+  return limit;
+};
+
+/**
+ * Build the cursor pointing after `item` for the given sort key.
+ */
+const encodeCursor = (sortKey, value, id) => {
+  const payload = {
+    s: sortKey,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created for `sortKey`. Returns null when the cursor is
+ * malformed or was issued for a different sort.
+ */
+const decodeCursor = (cursor, sortKey) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || payload.s !== sortKey || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (payload.d && isNaN(value.getTime())) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * MongoDB filter selecting documents after the cursor when sorting by
+ * `field` in `direction` (1 or -1), with _id in the same direction as a
+ * tie-breaker.
+ */
+const buildCursorFilter = (field, direction, cursor) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,115 @@
+const User = require('../models/user.model');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const Review = require('../models/review.model');
+const ReviewReport = require('../models/reviewReport.model');
+const ReviewVote = require('../models/reviewVote.model');
+const ReviewReply = require('../models/reviewReply.model');
+const Shelf = require('../models/shelf.model');
+const SavedBook = require('../models/savedBook.model');
+const ReadingProgress = require('../models/readingProgress.model');
+const Annotation = require('../models/annotation.model');
+const Session = require('../models/session.model');
+const DataRequest = require('../models/dataRequest.model');
+const { deleteUserAccount } = require('./accounts');
+const { createZip } = require('./zip');
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+/**
+ * Gather everything stored about a user, or null if the user doesn't exist.
+ * Secrets (password and token hashes) are left out.
+ */
+const collectPersonalData = async (userId) => {
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    return null;
+  }
+  const [cart, orders, reviews, reviewReports, reviewVotes, reviewReplies, shelves, savedBooks, readingProgress, annotations, sessions] = await Promise.all([
+    Cart.findOne({ user: userId }).populate('items.book', 'title author').lean(),
+    Order.find({ user: userId }).populate('items.book', 'title author').sort({ createdAt: 1 }).lean(),
+    Review.find({ user: userId }).populate('book', 'title author').sort({ createdAt: 1 }).lean(),
+    ReviewReport.find({ user: userId }).select('review reason details status createdAt').sort({ createdAt: 1 }).lean(),
+    ReviewVote.find({ user: userId }).select('review helpful createdAt').sort({ createdAt: 1 }).lean(),
+    ReviewReply.find({ user: userId }).select('review parent body editHistory createdAt updatedAt').sort({ createdAt: 1 }).lean(),
+    Shelf.find({ user: userId }).populate('entries.book', 'title author').sort({ position: 1 }).lean(),
+    // Books saved before shelves existed, until `npm run migrate-saved-books` moves them
+    SavedBook.find({ user: userId }).populate('book', 'title author').sort({ createdAt: 1 }).lean(),
+    ReadingProgress.find({ user: userId }).populate('book', 'title author').sort({ createdAt: 1 }).lean(),
+    Annotation.find({ user: userId }).populate('book', 'title author').sort({ createdAt: 1 }).lean(),
+    Session.find({ user: userId })
+      .select('device userAgent ip createdAt lastSeenAt expiresAt revokedAt revokedReason')
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  return { user, cart, orders, reviews, reviewReports, reviewVotes, reviewReplies, shelves, savedBooks, readingProgress, annotations, sessions };
+};
+
+/**
+ * Build the downloadable archive of a user's data: one JSON document, or a
+ * ZIP with a JSON file per kind of record. Returns null if the user doesn't
+ * exist, otherwise { filename, contentType, body, details }.
+ */
+const exportPersonalData = async (userId, format) => {
+  const data = await collectPersonalData(userId);
+  if (!data) {
+    return null;
+  }
+
+  const exportedAt = new Date();
+  const details = {
+    orders: data.orders.length,
+    reviews: data.reviews.length,
+    reviewReports: data.reviewReports.length,
+    reviewVotes: data.reviewVotes.length,
+    reviewReplies: data.reviewReplies.length,
+    shelves: data.shelves.length,
+    savedBooks: data.savedBooks.length,
+    readingProgress: data.readingProgress.length,
+    annotations: data.annotations.length,
+    sessions: data.sessions.length,
+    cartItems: data.cart ? data.cart.items.length : 0,
+  };
+  const basename = `personal-data-${userId}-${exportedAt.toISOString().slice(0, 10)}`;
+
+  if (format === 'zip') {
+    const files = Object.entries({ exportedAt, ...data }).map(([name, value]) => ({
+      name: `${name}.json`,
+      content: JSON.stringify(value, null, 2),
+    }));
+    return {
+      filename: `${basename}.zip`,
+      contentType: 'application/zip',
+      body: createZip(files, exportedAt),
+      details,
+    };
+  }
+
+  return {
+    filename: `${basename}.json`,
+    contentType: 'application/json',
+    body: JSON.stringify({ exportedAt, ...data }, null, 2),
+    details,
+  };
+};
+
+/**
+ * Erase a user: hard-delete their account and personal data and anonymise
+ * their orders. Returns counts per collection.
+ */
+const erasePersonalData = (userId) => deleteUserAccount(userId, { anonymizeOrders: true });
+
+/**
+ * Record in the audit trail that a data request was fulfilled.
+ */
+const recordDataRequest = ({ user, type, requestedBy, byAdmin = false, format = null, details }) =>
+  DataRequest.create({ user, type, requestedBy, byAdmin, format, details });
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectPersonalData,
+  exportPersonalData,
+  erasePersonalData,
+  recordDataRequest,
+};
@@ -0,0 +1,130 @@
+const pricingConfig = require('../config/pricing');
+
+// Checkout pricing pipeline: subtotal -> discount -> shipping -> tax -> total.
+// Used both for cart quotes and for the breakdown frozen onto orders.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// Pick the most specific rule for the address, or null when none matches
+const findRule = (rules, address) => {
+  const country = normalize(address.country);
+  const state = normalize(address.state);
+
+  const specificity = (rule) => {
+    const countries = (rule.countries || ['*']).map(normalize);
+    const countryMatch = countries.includes(country);
+    if (!countryMatch && !countries.includes('*')) {
+      return -1;
+    }
+    if (rule.states) {
+      return rule.states.map(normalize).includes(state) ? 3 : -1;
+    }
+    return countryMatch ? 2 : 1;
+  };
+
+  return rules.reduce((best, rule) => {
+    const score = specificity(rule);
+    return score > best.score ? { rule, score } : best;
+  }, { rule: null, score: 0 }).rule;
+};
+
+const calculateShipping = (address, itemCount, discountedSubtotal, freeShipping) => {
+  const zone = findRule(pricingConfig.shipping.zones, address);
+  if (!zone) {
+    return { error: 'We do not ship to this address' };
+  }
+
+  const cost = zone.baseRate + Math.max(0, itemCount - 1) * zone.perItemRate;
+  const waived = freeShipping
+    || (zone.freeOver !== null && zone.freeOver !== undefined && discountedSubtotal >= zone.freeOver);
+
+  return {
+    zone: zone.name,
+    baseRate: zone.baseRate,
+    perItemRate: zone.perItemRate,
+    waived,
+    amount: waived ? 0 : roundMoney(cost),
+  };
+};
+
+// Spread the order discount over the lines in proportion to their subtotal,
+// putting the rounding remainder on the last line so the parts add up
+const allocateDiscount = (lineSubtotals, discount) => {
+  const subtotal = lineSubtotals.reduce((total, amount) => total + amount, 0);
+  let remaining = discount;
+
+  return lineSubtotals.map((amount, index) => {
+    if (index === lineSubtotals.length - 1) {
+      return roundMoney(remaining);
+    }
+    const share = subtotal > 0 ? roundMoney(discount * amount / subtotal) : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Price items for delivery to `address`.
+ *
+ * items: [{ book, title, quantity, price }]
+ * options: { discount, freeShipping } from the applied coupon
+ *
+ * Returns the full breakdown, or { error } when the address can't be priced.
+ */
+const priceOrder = (items, address, { discount = 0, freeShipping = false } = {}) => {
+  if (!address || !address.country) {
+    return { error: 'Shipping address must include a country' };
+  }
+
+  const lineSubtotals = items.map(item => roundMoney(item.price * item.quantity));
+  const subtotal = roundMoney(lineSubtotals.reduce((total, amount) => total + amount, 0));
+  const lineDiscounts = allocateDiscount(lineSubtotals, Math.min(discount, subtotal));
+  const discountedSubtotal = roundMoney(subtotal - Math.min(discount, subtotal));
+  const itemCount = items.reduce((total, item) => total + item.quantity, 0);
+
+  const shipping = calculateShipping(address, itemCount, discountedSubtotal, freeShipping);
+  if (shipping.error) {
+    return { error: shipping.error };
+  }
+
+  const taxRule = findRule(pricingConfig.tax.rules, address);
+  const taxRate = taxRule ? taxRule.rate : 0;
+
+  const lines = items.map((item, index) => {
+    const taxableAmount = roundMoney(lineSubtotals[index] - lineDiscounts[index]);
+    return {
+      book: item.book,
+      title: item.title,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      subtotal: lineSubtotals[index],
+      discount: lineDiscounts[index],
+      taxableAmount,
+      tax: roundMoney(taxableAmount * taxRate),
+    };
+  });
+
+  const shippingTax = taxRule && taxRule.shippingTaxable ? roundMoney(shipping.amount * taxRate) : 0;
+  const taxAmount = roundMoney(lines.reduce((total, line) => total + line.tax, 0) + shippingTax);
+
+  return {
+    lines,
+    subtotal,
+    discount: roundMoney(subtotal - discountedSubtotal),
+    shipping,
+    tax: {
+      name: taxRule ? taxRule.name : null,
+      rate: taxRate,
+      shippingTaxable: Boolean(taxRule && taxRule.shippingTaxable),
+      shippingTax,
+      amount: taxAmount,
+    },
+    total: roundMoney(discountedSubtotal + shipping.amount + taxAmount),
+  };
+};
+
+module.exports = {
+  priceOrder,
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Book = require('../models/book.model');
+const Review = require('../models/review.model');
+
+// Books carry denormalised review aggregates (ratingAverage, ratingCount and
+// a per-star histogram) so listings don't have to read every review. They are
+// adjusted with an atomic update whenever a review is written, and the repair
+// job below rebuilds them from the reviews themselves. The functions take an
+// optional MongoDB session so the adjustment commits with the review.
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Histogram bucket of a rating; ratings like 4.5 round up to the nearest star
+const starOf = (rating) => Math.min(5, Math.max(1, Math.round(rating)));
+
+// Aggregation expression for the average of the (already updated) sum and count
+const AVERAGE_EXPRESSION = {
+  $cond: [
+    { $gt: ['$ratingCount', 0] },
+    { $round: [{ $divide: ['$ratingSum', '$ratingCount'] }, 2] },
+    0,
+  ],
+};
+
+/**
+ * Adjust a book's aggregates for a review whose rating went `from` one value
+ * `to` another. Pass only `to` for a new review and only `from` for a deleted
+ * one.
+ */
+const applyRatingChange = (bookId, { from = null, to = null }, { session } = {}) => {
+  const histogram = {};
+  if (from !== null) {
+    histogram[starOf(from)] = -1;
+  }
+  if (to !== null) {
+    histogram[starOf(to)] = (histogram[starOf(to)] || 0) + 1;
+  }
+
+  const increment = (field, delta) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, delta] });
+
+  return Book.updateOne(
+    { _id: bookId },
+    [
+      {
+        $set: {
+          ratingCount: increment('ratingCount', (to !== null) - (from !== null)),
+          ratingSum: increment('ratingSum', (to || 0) - (from || 0)),
+          ...Object.fromEntries(
+            Object.entries(histogram).map(([star, delta]) => [
+              `ratingHistogram.${star}`,
+              increment(`ratingHistogram.${star}`, delta),
+            ])
+          ),
+        },
+      },
+      { $set: { ratingAverage: AVERAGE_EXPRESSION } },
+    ],
+    { session }
+  );
+};
+
+/**
+ * Rebuild the aggregates from the published reviews, for all books or just `bookIds`.
+ * Reviews written while this runs can be missed, so run it when the catalog
+ * is quiet. Returns the number of books whose aggregates changed.
+ */
+const recomputeBookRatings = async ({ bookIds } = {}) => {
+  // Aggregation pipelines aren't cast, so IDs have to be ObjectIds already
+  const ids = bookIds && bookIds.map(id => new mongoose.Types.ObjectId(id));
+  const match = { ...Review.PUBLISHED_FILTER, ...(ids && { book: { $in: ids } }) };
+
+  // Same rounding as starOf: $round would round 4.5 down to even
+  const buckets = await Review.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { book: '$book', star: { $floor: { $add: ['$rating', 0.5] } } },
+        count: { $sum: 1 },
+        sum: { $sum: '$rating' },
+      },
+    },
+  ]);
+
+  const statsByBook = new Map();
+  buckets.forEach(({ _id, count, sum }) => {
+    const key = _id.book.toString();
+    if (!statsByBook.has(key)) {
+      statsByBook.set(key, {
+        book: _id.book,
+        ratingCount: 0,
+        ratingSum: 0,
+        ratingHistogram: Object.fromEntries(STARS.map(star => [star, 0])),
+      });
+    }
+    const stats = statsByBook.get(key);
+    stats.ratingCount += count;
+    stats.ratingSum += sum;
+    stats.ratingHistogram[starOf(_id.star)] += count;
+  });
+
+  const operations = [...statsByBook.values()].map(({ book, ratingCount, ratingSum, ratingHistogram }) => ({
+    updateOne: {
+      filter: { _id: book },
+      update: {
+        $set: {
+          ratingCount,
+          ratingSum,
+          ratingHistogram,
+          ratingAverage: Math.round((ratingSum / ratingCount) * 100) / 100,
+        },
+      },
+    },
+  }));
+
+  // Books without reviews are reset, in case their last review was deleted
+  // without the aggregates being adjusted
+  const reviewedIds = [...statsByBook.values()].map(stats => stats.book);
+  operations.push({
+    updateMany: {
+      filter: {
+        _id: ids ? { $in: ids, $nin: reviewedIds } : { $nin: reviewedIds },
+        ratingCount: { $ne: 0 },
+      },
+      update: {
+        $set: {
+          ratingCount: 0,
+          ratingSum: 0,
+          ratingHistogram: Object.fromEntries(STARS.map(star => [star, 0])),
+          ratingAverage: 0,
+        },
+      },
+    },
+  });
+
+  const result = await Book.bulkWrite(operations, { ordered: false });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  starOf,
+  applyRatingChange,
+  recomputeBookRatings,
+};
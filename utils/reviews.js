@@ -0,0 +1,139 @@
+const Category = require('../models/category.model');
+const Review = require('../models/review.model');
+const ReviewVote = require('../models/reviewVote.model');
+const ReviewReply = require('../models/reviewReply.model');
+
+// $inc for a review's vote counters when a user's vote goes from `from` to
+// `to` (true for helpful, false for unhelpful, null for no vote)
+const voteCountChange = (from, to) => {
+  const change = {
+    helpfulCount: (to === true) - (from === true),
+    unhelpfulCount: (to === false) - (from === false),
+  };
+  return Object.fromEntries(Object.entries(change).filter(([, delta]) => delta !== 0));
+};
+
+/**
+ * Whether any of the book's categories only accepts reviews from readers who
+ * bought the book.
+ */
+const requiresPurchaseToReview = async (book) =>
+  book.categories.length > 0 &&
+  Boolean(await Category.exists({ _id: { $in: book.categories }, requirePurchaseToReview: true }));
+
+/**
+ * Mark the order owner's reviews of the books in a delivered order as
+ * verified purchases, for reviews written before the order arrived.
+ */
+const markVerifiedReviews = (order) =>
+  Review.updateMany(
+    {
+      user: order.user,
+      book: { $in: order.items.map(item => item.book) },
+      verifiedPurchase: { $ne: true },
+    },
+    { $set: { verifiedPurchase: true } }
+  );
+
+/**
+ * Record the user's vote on a review, replacing any earlier vote, and update
+ * the review's counters. Takes an optional MongoDB session.
+ *
+ * Two concurrent first votes by the same user can both upsert, and one then
+ * fails with a duplicate key error (11000); running it again updates the
+ * vote that won.
+ */
+const castVote = async (reviewId, userId, helpful, { session } = {}) => {
+  const previous = await ReviewVote.findOneAndUpdate(
+    { review: reviewId, user: userId },
+    { $set: { helpful } },
+    { upsert: true, session }
+  );
+
+  const change = voteCountChange(previous ? previous.helpful : null, helpful);
+  if (Object.keys(change).length > 0) {
+    await Review.updateOne({ _id: reviewId }, { $inc: change }, { session });
+  }
+};
+
+/**
+ * Remove the user's vote on a review. Returns whether there was one.
+ */
+const withdrawVote = async (reviewId, userId, { session } = {}) => {
+  const vote = await ReviewVote.findOneAndDelete({ review: reviewId, user: userId }, { session });
+  if (!vote) {
+    return false;
+  }
+
+  await Review.updateOne({ _id: reviewId }, { $inc: voteCountChange(vote.helpful, null) }, { session });
+  return true;
+};
+
+/**
+ * Rebuild every review's vote counters from the votes. Returns the number of
+ * reviews whose counters changed.
+ */
+const recountVotes = async () => {
+  const counts = await ReviewVote.aggregate([
+    {
+      $group: {
+        _id: '$review',
+        helpfulCount: { $sum: { $cond: ['$helpful', 1, 0] } },
+        unhelpfulCount: { $sum: { $cond: ['$helpful', 0, 1] } },
+      },
+    },
+  ]);
+
+  const operations = counts.map(({ _id, helpfulCount, unhelpfulCount }) => ({
+    updateOne: {
+      filter: { _id },
+      update: { $set: { helpfulCount, unhelpfulCount } },
+    },
+  }));
+  // Reviews without votes, including ones written before votes existed
+  operations.push({
+    updateMany: {
+      filter: {
+        _id: { $nin: counts.map(count => count._id) },
+        $or: [{ helpfulCount: { $ne: 0 } }, { unhelpfulCount: { $ne: 0 } }],
+      },
+      update: { $set: { helpfulCount: 0, unhelpfulCount: 0 } },
+    },
+  });
+
+  const result = await Review.bulkWrite(operations, { ordered: false });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Soft-delete a reply: it stays in the thread so answers to it keep their
+ * place, but loses its author, text and edit history. `deletedBy` is the
+ * moderator who removed it, or null when the author did. Returns whether the
+ * reply was deleted (false if it already was or doesn't exist).
+ */
+const softDeleteReply = async (replyId, deletedBy, { session } = {}) => {
+  const reply = await ReviewReply.findOneAndUpdate(
+    { _id: replyId, deletedAt: null },
+    {
+      $set: { deletedAt: new Date(), deletedBy, body: '', editHistory: [] },
+      $unset: { user: 1 },
+    },
+    { session }
+  );
+  if (!reply) {
+    return false;
+  }
+
+  await Review.updateOne({ _id: reply.review }, { $inc: { replyCount: -1 } }, { session });
+  return true;
+};
+
+module.exports = {
+  requiresPurchaseToReview,
+  markVerifiedReviews,
+  castVote,
+  withdrawVote,
+  recountVotes,
+  softDeleteReply,
+};
@@ -0,0 +1,301 @@
+// Helpers for the catalog search on GET /api/books.
+//
+// Books store the bigrams of their normalized title, author and description
+// words in an indexed `searchGrams` field, and those of the title and author
+// on their own. Candidates are books that share enough bigrams with every
+// query term to possibly match it; only those are loaded and scored here, so
+// that we can rank by relevance and tolerate prefixes (typeahead) and small
+// typos, which a plain $regex or $text query cannot do on their own.
+
+// Relative importance of a match in each searchable field
+const FIELD_WEIGHTS = {
+  title: 10,
+  author: 6,
+  description: 1,
+};
+
+// Score for a single query term against a single word
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.8;
+const FUZZY_SCORE = [0, 0.5, 0.3]; // indexed by edit distance
+
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+// Most candidates scored per search, likely title and author matches first
+const MAX_CANDIDATES = 500;
+
+// Most bigrams one edit can remove from a word (an adjacent transposition)
+const GRAMS_PER_EDIT = 3;
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents so "Café" matches "cafe"
+const normalize = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Split a search query into unique normalized terms
+const tokenize = (query) => {
+  const words = normalize(String(query || '')).match(WORD_REGEX) || [];
+  return [...new Set(words)].slice(0, MAX_TERMS);
+};
+
+// Short words must match exactly; longer ones allow one or two typos
+const maxEditsFor = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance counting adjacent transpositions ("teh" -> "the") as one
+// edit, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well a query term matches a (normalized) word, 0 when it doesn't
+const matchTerm = (term, word) => {
+  if (word === term) {
+    return EXACT_SCORE;
+  }
+  if (term.length >= 2 && word.startsWith(term)) {
+    return PREFIX_SCORE;
+  }
+
+  const maxEdits = maxEditsFor(term);
+  if (maxEdits > 0) {
+    // Compare against the word and against a same-length prefix of it, so a
+    // typo in a partially typed word still matches
+    const distance = Math.min(
+      editDistance(term, word, maxEdits),
+      editDistance(term, word.slice(0, term.length), maxEdits)
+    );
+    if (distance <= maxEdits) {
+      return FUZZY_SCORE[distance];
+    }
+  }
+  return 0;
+};
+
+const bestMatch = (term, words) =>
+  words.reduce((best, word) => Math.max(best, matchTerm(term, word)), 0);
+
+// Bigrams of a word, anchored at its start with "^" so that a prefix shares
+// all its bigrams with the word
+const gramsOf = (word) => {
+  const padded = `^${word}`;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 1; i++) {
+    grams.add(padded.slice(i, i + 2));
+  }
+  return [...grams];
+};
+
+// Fields whose bigrams are also stored on their own, so candidates likely to
+// match there rank first
+const GRAM_FIELDS = {
+  title: 'searchTitleGrams',
+  author: 'searchAuthorGrams',
+};
+
+const gramsOfText = (text) => {
+  const grams = new Set();
+  const words = normalize(text || '').match(WORD_REGEX) || [];
+  words.forEach(word => gramsOf(word).forEach(gram => grams.add(gram)));
+  return grams;
+};
+
+/**
+ * Bigrams of a book's searchable words, to store on the book for the
+ * candidate query: `searchGrams` for all fields, and one array per field in
+ * GRAM_FIELDS.
+ */
+const searchGramsFor = (book) => {
+  const all = new Set();
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    gramsOfText(book[field]).forEach(gram => all.add(gram));
+  });
+
+  const grams = { searchGrams: [...all].sort() };
+  Object.entries(GRAM_FIELDS).forEach(([field, path]) => {
+    grams[path] = [...gramsOfText(book[field])].sort();
+  });
+  return grams;
+};
+
+// Fewest bigrams a word must share with a term to match it with the edits
+// matchTerm() allows
+const minSharedGrams = (grams, term) =>
+  Math.max(1, grams.length - GRAMS_PER_EDIT * maxEditsFor(term));
+
+/**
+ * Build the aggregation stages that select candidate books for the given
+ * terms: books sharing enough bigrams with every term. Books whose title or
+ * author could match the terms come first, weighted like scoreBook() does,
+ * then those with the largest overlap. At most MAX_CANDIDATES + 1 are
+ * returned; an extra one means the search was cut off. The final filtering
+ * happens in scoreBook().
+ */
+const buildCandidateStages = (terms) => {
+  const gramsByTerm = terms.map(gramsOf);
+  const allGrams = [...new Set(gramsByTerm.flat())];
+  const sharedWith = (path, grams) => ({
+    $size: { $setIntersection: [{ $ifNull: [`$${path}`, []] }, grams] },
+  });
+  const couldMatch = (path, index) => ({
+    $gte: [sharedWith(path, gramsByTerm[index]), minSharedGrams(gramsByTerm[index], terms[index])],
+  });
+
+  const fieldWeight = terms.flatMap((term, index) =>
+    Object.entries(GRAM_FIELDS).map(([field, path]) => ({
+      $cond: [couldMatch(path, index), FIELD_WEIGHTS[field], 0],
+    }))
+  );
+
+  return [
+    {
+      $match: {
+        searchGrams: { $in: allGrams },
+        $expr: { $and: terms.map((term, index) => couldMatch('searchGrams', index)) },
+      },
+    },
+    { $addFields: { fieldWeight: { $add: fieldWeight }, gramOverlap: sharedWith('searchGrams', allGrams) } },
+    { $sort: { fieldWeight: -1, gramOverlap: -1, _id: 1 } },
+    { $limit: MAX_CANDIDATES + 1 },
+    { $project: { title: 1, author: 1, description: 1 } },
+  ];
+};
+
+/**
+ * Score a book against the query terms. Returns 0 when not every term
+ * matches somewhere in the book.
+ */
+const scoreBook = (book, terms) => {
+  let score = 0;
+  let matchedTerms = 0;
+
+  const wordsByField = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    wordsByField[field] = normalize(book[field] || '').match(WORD_REGEX) || [];
+  });
+
+  terms.forEach(term => {
+    let termScore = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      termScore += bestMatch(term, wordsByField[field]) * weight;
+    });
+    if (termScore > 0) {
+      matchedTerms++;
+      score += termScore;
+    }
+  });
+
+  if (matchedTerms < terms.length) {
+    return 0;
+  }
+  return Math.round(score * 100) / 100;
+};
+
+// Wrap matching words of `text` in <mark> tags, HTML-escaping the rest
+const highlightText = (text, terms) => {
+  let result = '';
+  let lastIndex = 0;
+  let matched = false;
+
+  for (const match of text.matchAll(WORD_REGEX)) {
+    const word = normalize(match[0]);
+    if (terms.some(term => matchTerm(term, word) > 0)) {
+      result += escapeHtml(text.slice(lastIndex, match.index));
+      result += `<mark>${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+      matched = true;
+    }
+  }
+  result += escapeHtml(text.slice(lastIndex));
+
+  return { result, matched };
+};
+
+// Cut a window of the description around its first match
+const snippetAround = (text, terms) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+
+  let firstMatch = 0;
+  for (const match of text.matchAll(WORD_REGEX)) {
+    const word = normalize(match[0]);
+    if (terms.some(term => matchTerm(term, word) > 0)) {
+      firstMatch = match.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, firstMatch - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted fragments for the fields that matched. Values are HTML
+ * with matches wrapped in <mark>; the description is cut to a snippet.
+ */
+const highlightBook = (book, terms) => {
+  const highlights = {};
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const value = book[field] || '';
+    const text = field === 'description' ? snippetAround(value, terms) : value;
+    const { result, matched } = highlightText(text, terms);
+    if (matched) {
+      highlights[field] = result;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  MAX_CANDIDATES,
+  escapeRegex,
+  tokenize,
+  searchGramsFor,
+  buildCandidateStages,
+  scoreBook,
+  highlightBook,
+};
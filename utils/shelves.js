@@ -0,0 +1,71 @@
+const Shelf = require('../models/shelf.model');
+const SavedBook = require('../models/savedBook.model');
+
+// Built-in shelves every user has, in their initial order. Custom shelves go
+// after them.
+const DEFAULT_SHELVES = [
+  { kind: 'want_to_read', name: 'Want to read' },
+  { kind: 'reading', name: 'Reading' },
+  { kind: 'finished', name: 'Finished' },
+];
+
+// Shelf that books saved through the old saved-books list end up on
+const SAVED_BOOKS_SHELF = 'want_to_read';
+
+/**
+ * Create any built-in shelves the user doesn't have yet. Safe to call on
+ * every request: it only writes when something is missing, and concurrent
+ * calls can't create a shelf twice. Returns the Want to read shelf.
+ */
+const ensureDefaultShelves = async (userId) => {
+  const existing = await Shelf.find({ user: userId, kind: { $in: DEFAULT_SHELVES.map(shelf => shelf.kind) } });
+  const existingKinds = new Set(existing.map(shelf => shelf.kind));
+
+  for (const [index, { kind, name }] of DEFAULT_SHELVES.entries()) {
+    if (existingKinds.has(kind)) {
+      continue;
+    }
+    try {
+      await Shelf.create({ user: userId, kind, name, position: index });
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return Shelf.findOne({ user: userId, kind: SAVED_BOOKS_SHELF });
+};
+
+/**
+ * Move the user's SavedBook entries, from before shelves existed, onto the
+ * Want to read shelf. Entries keep their IDs so old saved-book IDs still work.
+ * Each book is added with a conditional update, so running this twice, or
+ * alongside the user adding books, can't put a book on the shelf twice.
+ * Returns the number of saved books moved.
+ */
+const migrateSavedBooks = async (userId) => {
+  const savedBooks = await SavedBook.find({ user: userId }).sort({ createdAt: 1 });
+  if (savedBooks.length === 0) {
+    return 0;
+  }
+
+  const shelf = await ensureDefaultShelves(userId);
+  for (const savedBook of savedBooks) {
+    await Shelf.updateOne(
+      { _id: shelf._id, 'entries.book': { $ne: savedBook.book } },
+      { $push: { entries: { _id: savedBook._id, book: savedBook.book, addedAt: savedBook.createdAt } } }
+    );
+    await SavedBook.deleteOne({ _id: savedBook._id });
+  }
+
+  return savedBooks.length;
+};
+
+module.exports = {
+  DEFAULT_SHELVES,
+  SAVED_BOOKS_SHELF,
+  ensureDefaultShelves,
+  migrateSavedBooks,
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const UserToken = require('../models/userToken.model');
+const { sendVerificationEmail } = require('./mailer');
+
+// Access tokens are short-lived JWTs tied to a session. Refresh tokens are
+// opaque "<sessionId>.<secret>" strings; only a hash of the secret is stored
+// and it changes on every refresh (rotation). Refreshing extends a session up
+// to SESSION_MAX_AGE_DAYS after login; after that the user has to log in again.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS) || 90;
+// Enough rotated-out hashes to catch a leaked token being replayed soon after
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+// Sessions created before absoluteExpiresAt existed count from their login
+const absoluteExpiry = (session) =>
+  session.absoluteExpiresAt || new Date(session.createdAt.getTime() + SESSION_MAX_AGE_DAYS * DAY_MS);
+
+// Short label such as "Firefox on macOS" for the session list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent));
+  const system = systems.find(([, regex]) => regex.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? userAgent.slice(0, 100) : 'Unknown device';
+  }
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, username: user.username, isAdmin: user.isAdmin, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Start a new session for `user` on the device making `req` and return the
+ * tokens to send back to the client.
+ */
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+    absoluteExpiresAt: new Date(Date.now() + SESSION_MAX_AGE_DAYS * DAY_MS),
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Returns null when the token
+ * is invalid, expired or revoked. Presenting a token that was already rotated
+ * revokes the whole session, since it means the token chain leaked.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const tokenHash = hashToken(secret);
+  const newSecret = newRefreshSecret();
+  const current = {
+    _id: sessionId,
+    tokenHash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+
+  // Rotation never pushes expiry past the session's absolute lifetime
+  const existing = await Session.findOne(current).select('createdAt absoluteExpiresAt');
+  const expiresAt = existing && new Date(Math.min(refreshExpiry(), absoluteExpiry(existing)));
+
+  // Matching on the old hash again keeps the token single-use if another
+  // refresh rotated it in the meantime
+  const session = existing && await Session.findOneAndUpdate(
+    current,
+    {
+      tokenHash: hashToken(newSecret),
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+      lastSeenAt: new Date(),
+      ip: req.ip,
+      expiresAt,
+      absoluteExpiresAt: absoluteExpiry(existing),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already rotated out means the chain leaked
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null, previousTokenHashes: tokenHash },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date(), revokedReason: 'revoked' });
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${newSecret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+/**
+ * Revoke every active session of a user, e.g. for "log out all devices".
+ * Pass `except` to keep one session, such as the one making the request.
+ */
+const revokeUserSessions = (userId, reason, { except } = {}) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Create a single-use token of `type` for the user, replacing any unused one.
+ * Used for email verification and password reset links.
+ */
+const issueUserToken = async (user, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.deleteMany({ user: user._id, type, usedAt: null });
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token as used and return it, or null if it is unknown, used or expired.
+ */
+const consumeUserToken = (token, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+/**
+ * Email the user a link to verify their address.
+ */
+const sendVerification = async (user) => {
+  const token = await issueUserToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  await sendVerificationEmail(user, token);
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_MS,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  issueUserToken,
+  consumeUserToken,
+  sendVerification,
+};
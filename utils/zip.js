@@ -0,0 +1,92 @@
+const zlib = require('zlib');
+
+// Minimal ZIP writer: deflated entries, no ZIP64, so archives must stay under
+// 4 GB. Enough for personal data exports without another dependency.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// ZIP stores modification times in MS-DOS format
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  day: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const VERSION = 20;
+const UTF8_NAMES_FLAG = 0x0800;
+const DEFLATE = 8;
+
+/**
+ * Build a ZIP archive from `files`, an array of { name, content } where
+ * content is a string or Buffer. Returns the archive as a Buffer.
+ */
+const createZip = (files, modifiedAt = new Date()) => {
+  const { time, day } = dosDateTime(modifiedAt);
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(VERSION, 4);
+    record.writeUInt16LE(VERSION, 6);
+    record.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+    record.writeUInt16LE(DEFLATE, 10);
+    record.writeUInt16LE(time, 12);
+    record.writeUInt16LE(day, 14);
+    record.writeUInt32LE(crc, 16);
+    record.writeUInt32LE(compressed.length, 20);
+    record.writeUInt32LE(data.length, 24);
+    record.writeUInt16LE(fileName.length, 28);
+    record.writeUInt32LE(offset, 42);
+
+    entries.push(header, fileName, compressed);
+    directory.push(record, fileName);
+    offset += header.length + fileName.length + compressed.length;
+  });
+
+  const directorySize = directory.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...entries, ...directory, end]);
+};
+
+module.exports = {
+  createZip,
+};